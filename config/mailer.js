@@ -1,142 +1,64 @@
-// Mailjet HTTP API configuration (works on Render and other cloud platforms).
-// Required env vars:
-// - MAILJET_API_KEY     (your Mailjet API key)
-// - MAILJET_SECRET_KEY  (your Mailjet secret key)
-// - MAILJET_FROM        (optional, e.g. "Modern Mail <your-email@gmail.com>")
-//                        IMPORTANT: Use an email address you own and can verify!
+// Outgoing mail facade. Normalizes a message once and hands it to the
+// configured transport in config/transports.
+// Env vars:
+// - MAIL_TRANSPORT  (optional: "mailjet", "smtp", "resend" or "file")
+//                   When unset, the first configured provider wins
+//                   (Mailjet, then SMTP, then Resend); with none, outgoing
+//                   email is disabled. "file" is never picked implicitly.
+// - MAIL_FROM       (optional default From for transports without their own)
+// See each transport module for its provider-specific variables.
 
-const apiKey = process.env.MAILJET_API_KEY;
-const secretKey = process.env.MAILJET_SECRET_KEY;
-const fromDefault = process.env.MAILJET_FROM || 'noreply@example.com';
+const crypto = require('crypto');
+const mailjet = require('./transports/mailjet');
+const smtp = require('./transports/smtp');
+const resend = require('./transports/resend');
+const file = require('./transports/file');
+const { toAddresses } = require('../utils/addressParser');
 
-let isConfigured = false;
+const transports = { mailjet, smtp, resend, file };
 
-if (apiKey && secretKey) {
-  isConfigured = true;
-  console.log('[MAILER] Mailjet client initialized');
-} else {
-  console.warn('[MAILER] MAILJET_API_KEY or MAILJET_SECRET_KEY is missing; outgoing email disabled');
-}
-
-// Helper function to make authenticated Mailjet API requests
-const mailjetRequest = async (endpoint, method = 'GET', body = null) => {
-  const authHeader = Buffer.from(`${apiKey}:${secretKey}`).toString('base64');
-  const url = `https://api.mailjet.com/v3/REST${endpoint}`;
-  
-  const options = {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Basic ${authHeader}`,
-    },
-  };
-  
-  if (body) {
-    options.body = JSON.stringify(body);
-  }
-  
-  const response = await fetch(url, options);
-  const responseText = await response.text();
-  let responseData;
-  
-  try {
-    responseData = JSON.parse(responseText);
-  } catch {
-    responseData = { raw: responseText };
-  }
-  
-  return { response, data: responseData };
-};
+const resolveTransport = () => {
+  const requested = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
 
-// Helper function to create a sender
-const createSender = async (email, name = 'Modern Mail') => {
-  try {
-    console.log('[MAILER] Creating sender:', email);
-    const { response, data } = await mailjetRequest('/sender', 'POST', {
-      Email: email,
-      Name: name,
-      EmailType: 'transactional',
-    });
-    
-    if (response.ok && data.Data && data.Data[0]) {
-      const sender = data.Data[0];
-      console.log('[MAILER] Sender created:', {
-        id: sender.ID,
-        email: sender.Email,
-        status: sender.Status,
-      });
-      return sender;
-    } else {
-      console.error('[MAILER] Failed to create sender:', data);
+  if (requested) {
+    const transport = transports[requested];
+    if (!transport) {
+      console.error(`[MAILER] Unknown MAIL_TRANSPORT "${requested}"; outgoing email disabled`);
       return null;
     }
-  } catch (err) {
-    console.error('[MAILER] Error creating sender:', err.message);
-    return null;
+    if (!transport.isConfigured()) {
+      console.error(`[MAILER] MAIL_TRANSPORT is "${requested}" but it is missing credentials; outgoing email disabled`);
+      return null;
+    }
+    return transport;
   }
-};
 
-// Helper function to validate a sender (sends verification email)
-const validateSender = async (senderId) => {
-  try {
-    console.log('[MAILER] Validating sender ID:', senderId);
-    const { response, data } = await mailjetRequest(`/sender/${senderId}/validate`, 'POST');
-    
-    if (response.ok) {
-      console.log('[MAILER] Validation email sent for sender ID:', senderId);
-      return true;
-    } else {
-      console.error('[MAILER] Failed to validate sender:', data);
-      return false;
-    }
-  } catch (err) {
-    console.error('[MAILER] Error validating sender:', err.message);
-    return false;
+  const configured = [mailjet, smtp, resend].find((transport) => transport.isConfigured());
+  if (configured) {
+    return configured;
   }
+
+  console.warn('[MAILER] No mail provider configured; outgoing email disabled (set MAIL_TRANSPORT=file to write .eml files instead)');
+  return null;
 };
 
-const sendMail = async (options = {}) => {
-  if (!isConfigured) {
-    const error = new Error('Mailjet is not configured');
-    error.statusCode = 500;
-    throw error;
-  }
+const transport = resolveTransport();
 
-  // ALWAYS use verified sender for FROM (ensures delivery)
-  // Parse verified FROM address from env (must be verified in Mailjet)
-  let verifiedFromEmail = fromDefault;
-  let verifiedFromName = 'Modern Mail';
-  
-  const verifiedFromMatch = fromDefault.match(/^(.+?)\s*<(.+?)>$|^(.+)$/);
-  if (verifiedFromMatch) {
-    if (verifiedFromMatch[2]) {
-      verifiedFromName = verifiedFromMatch[1].trim();
-      verifiedFromEmail = verifiedFromMatch[2].trim();
-    } else {
-      verifiedFromEmail = verifiedFromMatch[3] || verifiedFromMatch[1] || fromDefault;
-    }
-  }
+if (transport) {
+  console.log(`[MAILER] Using ${transport.name} transport`);
+}
 
-  // User's desired FROM address (from dashboard) - use as Reply-To
-  const userDesiredFrom = options.userFrom || options.from;
-  let replyToEmail = null;
-  let replyToName = null;
-  
-  if (userDesiredFrom) {
-    const userFromMatch = userDesiredFrom.match(/^(.+?)\s*<(.+?)>$|^(.+)$/);
-    if (userFromMatch) {
-      if (userFromMatch[2]) {
-        replyToName = userFromMatch[1].trim();
-        replyToEmail = userFromMatch[2].trim();
-      } else {
-        replyToEmail = userFromMatch[3] || userFromMatch[1];
-      }
-    }
-  }
+const getDefaultFrom = () =>
+  (transport && transport.defaultFrom) || process.env.MAIL_FROM || 'noreply@example.com';
+
+// Address parsing lives in utils/addressParser.js; these wrappers keep the
+// lenient behaviour callers expect (invalid entries are dropped)
+const parseAddress = (value) => toAddresses(value)[0] || null;
+
+const parseAddressList = (value) => toAddresses(value);
 
-  // Build email content - include user's FROM in body if different from verified sender
-  // Wrap content in proper HTML with larger font size for better readability
-  const baseHtmlStyle = `
+// Wrap content in proper HTML with larger font size for better readability
+const baseHtmlStyle = `
     <style>
       body { 
         font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
@@ -171,12 +93,13 @@ const sendMail = async (options = {}) => {
     </style>
   `;
 
-  let htmlContent = options.html || '';
+const buildHtmlContent = (html, text) => {
+  let htmlContent = html || '';
   
   // If no HTML provided, convert plain text to HTML with proper styling
-  if (!htmlContent && options.text) {
+  if (!htmlContent && text) {
     // Convert newlines to <br> and wrap in styled div
-    htmlContent = `<div style="font-size: 16px; line-height: 1.6; color: #333333;">${options.text.replace(/\n/g, '<br>')}</div>`;
+    htmlContent = `<div style="font-size: 16px; line-height: 1.6; color: #333333;">${text.replace(/\n/g, '<br>')}</div>`;
   } else if (htmlContent && !htmlContent.includes('<html')) {
     // If HTML is provided but not wrapped, wrap it properly
     htmlContent = `<div style="font-size: 16px; line-height: 1.6; color: #333333;">${htmlContent}</div>`;
@@ -204,179 +127,125 @@ const sendMail = async (options = {}) => {
       htmlContent = htmlContent.replace('<html>', `<html><head>${baseHtmlStyle}</head>`);
     }
   }
-  
-  let textContent = options.text || options.html || '';
-  
-  // If user wants a different FROM, use it only as Reply-To header (no extra footer in body)
-  // This avoids adding a visible "--- From:" line at the end of the email content.
-
-  // Parse CC and BCC recipients
-  const ccRecipients = options.cc ? options.cc.split(',').map(email => ({
-    Email: email.trim(),
-  })) : [];
 
-  const bccRecipients = options.bcc ? options.bcc.split(',').map(email => ({
-    Email: email.trim(),
-  })) : [];
-
-  // Mailjet API format - use verified sender for FROM, user's email for Reply-To
-  const payload = {
-    Messages: [
-      {
-        From: {
-          Email: verifiedFromEmail,  // Always use verified sender (ensures delivery)
-          Name: verifiedFromName,
-        },
-        To: [
-          {
-            Email: options.to,
-          },
-        ],
-        Subject: options.subject || '(No Subject)',
-        HTMLPart: htmlContent,
-        TextPart: textContent,
-      },
-    ],
-  };
-
-  // Add CC recipients if any
-  if (ccRecipients.length > 0) {
-    payload.Messages[0].Cc = ccRecipients;
-  }
-
-  // Add BCC recipients if any
-  if (bccRecipients.length > 0) {
-    payload.Messages[0].Bcc = bccRecipients;
-  }
+  return htmlContent;
+};
 
-  // Add Reply-To if user provided a different FROM address
-  if (replyToEmail) {
-    payload.Messages[0].ReplyTo = {
-      Email: replyToEmail,
-      Name: replyToName || replyToEmail,
-    };
-  }
+// Message-IDs are generated here (not by the provider) so the dashboard can
+// store them and build In-Reply-To / References for later replies.
+// MAIL_DOMAIN overrides the domain part, otherwise the sender domain is used.
+const generateMessageId = () => {
+  const defaultFrom = parseAddress(getDefaultFrom());
+  const domain = process.env.MAIL_DOMAIN || (defaultFrom && defaultFrom.email.split('@')[1]) || 'localhost';
+  return `<${crypto.randomUUID()}@${domain}>`;
+};
 
-  // Add attachments if any
-  if (options.attachments && options.attachments.length > 0) {
-    const attachmentPromises = options.attachments.map(async (attachment) => {
+// Download attachments from their Cloudinary URLs so every transport gets raw bytes
+const loadAttachments = async (attachments = []) => {
+  const loaded = await Promise.all(
+    attachments.map(async (attachment) => {
       try {
-        // Download file from Cloudinary URL
         const response = await fetch(attachment.url);
         const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        const base64Content = buffer.toString('base64');
-
-        // Get content type from response or use default
-        const contentType = response.headers.get('content-type') || 'application/octet-stream';
 
         return {
-          ContentType: contentType,
-          Filename: attachment.fileName,
-          Base64Content: base64Content,
+          filename: attachment.fileName,
+          // Get content type from response or use default
+          contentType: response.headers.get('content-type') || 'application/octet-stream',
+          content: Buffer.from(arrayBuffer),
         };
       } catch (error) {
         console.error(`[MAILER] Error processing attachment ${attachment.fileName}:`, error);
         return null;
       }
-    });
+    })
+  );
 
-    const attachments = await Promise.all(attachmentPromises);
-    const validAttachments = attachments.filter(att => att !== null);
-    
-    if (validAttachments.length > 0) {
-      payload.Messages[0].Attachments = validAttachments;
-    }
+  return loaded.filter((attachment) => attachment !== null);
+};
+
+const deliverMail = async (options = {}) => {
+  if (!transport) {
+    const error = new Error('Outgoing email service is not configured');
+    error.statusCode = 500;
+    throw error;
   }
 
-  console.log('[MAILER] Sending email via Mailjet', {
-    to: options.to,
-    subject: payload.Messages[0].Subject,
-    verifiedFrom: `${verifiedFromName} <${verifiedFromEmail}>`,
-    replyTo: replyToEmail ? `${replyToName || ''} <${replyToEmail}>` : 'none',
-    htmlLength: (payload.Messages[0].HTMLPart || '').length,
-  });
+  // A sender verified with the provider (see createSender / validateSender)
+  // can be the real FROM. Otherwise ALWAYS use the transport's verified
+  // sender (ensures delivery), optionally under the identity's display name.
+  const from = parseAddress(options.sender || getDefaultFrom());
+  if (!from) {
+    const error = new Error(`Sender "${options.sender || getDefaultFrom()}" is not a valid address`);
+    error.statusCode = 500;
+    throw error;
+  }
+  from.name = options.fromName || from.name || 'Modern Mail';
 
-  try {
-    // Mailjet API endpoint (v3.1 gives more detailed feedback)
-    const apiUrl = 'https://api.mailjet.com/v3.1/send';
-    
-    // Create Basic Auth header (API key:Secret key)
-    const authHeader = Buffer.from(`${apiKey}:${secretKey}`).toString('base64');
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${authHeader}`,
-      },
-      body: JSON.stringify(payload),
-    });
+  // User's desired FROM address (from dashboard) - use as Reply-To.
+  // This avoids adding a visible "--- From:" line at the end of the email content.
+  // An identity's own reply-to address takes precedence.
+  const userDesiredFrom = options.replyTo || (options.sender ? null : options.userFrom || options.from);
+  const replyTo = userDesiredFrom ? parseAddress(userDesiredFrom) : null;
 
-    const responseText = await response.text();
-    let responseData;
-    
-    try {
-      responseData = JSON.parse(responseText);
-    } catch {
-      responseData = { raw: responseText };
-    }
-    
-    if (!response.ok) {
-      console.error('[MAILER] Mailjet API error response', {
-        status: response.status,
-        statusText: response.statusText,
-        body: responseData,
-      });
-      
-      // Check if error is about unvalidated sender
-      const errorMessage = responseData.ErrorMessage || responseData.ErrorInfo || responseData.message || '';
-      if (errorMessage.toLowerCase().includes('not been validated') || 
-          errorMessage.toLowerCase().includes('sender') && errorMessage.toLowerCase().includes('validate')) {
-        console.error('[MAILER] ⚠️  SENDER VALIDATION REQUIRED');
-        console.error('[MAILER] The sender email address needs to be validated in Mailjet.');
-        console.error('[MAILER] Sender email:', fromEmail);
-        console.error('[MAILER]');
-        console.error('[MAILER] To fix this:');
-        console.error('[MAILER] 1. Go to https://app.mailjet.com/account/sender');
-        console.error('[MAILER] 2. Add and verify your sender email:', fromEmail);
-        console.error('[MAILER] 3. Or use an email address you already verified');
-        console.error('[MAILER]');
-        console.error('[MAILER] You can also create the sender programmatically - check the logs above.');
-        
-        throw new Error(
-          `Sender email "${fromEmail}" is not validated. ` +
-          `Please verify this email address in Mailjet dashboard (https://app.mailjet.com/account/sender) ` +
-          `or use a different verified email address.`
-        );
-      }
-      
-      throw new Error(
-        errorMessage ||
-        `Mailjet API error: ${response.status} ${response.statusText}`
-      );
-    }
+  const messageId = options.messageId || generateMessageId();
+  const references = (options.references || []).filter(Boolean);
 
-    console.log('[MAILER] Mailjet response', {
-      statusCode: response.status,
-      statusText: response.statusText,
-      data: responseData,
-    });
+  const headers = { ...(options.headers || {}), 'Message-ID': messageId };
+  if (options.inReplyTo) {
+    headers['In-Reply-To'] = options.inReplyTo;
+  }
+  if (references.length > 0) {
+    headers.References = references.join(' ');
+  }
+
+  const message = {
+    messageId,
+    inReplyTo: options.inReplyTo || null,
+    references,
+    from,
+    replyTo,
+    to: parseAddressList(options.to),
+    cc: parseAddressList(options.cc),
+    bcc: parseAddressList(options.bcc),
+    subject: options.subject || '(No Subject)',
+    html: buildHtmlContent(options.html, options.text),
+    text: options.text || options.html || '',
+    headers,
+    attachments: await loadAttachments(options.attachments),
+  };
 
-    // Extract message ID from Mailjet response
-    const messageId = responseData.Messages && responseData.Messages[0] && responseData.Messages[0].To && responseData.Messages[0].To[0] 
-      ? responseData.Messages[0].To[0].MessageID 
-      : responseData.Messages?.[0]?.MessageID || `mailjet-${Date.now()}`;
+  if (message.to.length === 0) {
+    const error = new Error('At least one recipient is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  console.log(`[MAILER] Sending email via ${transport.name}`, {
+    to: message.to.map((address) => address.email),
+    subject: message.subject,
+    verifiedFrom: `${from.name} <${from.email}>`,
+    replyTo: replyTo ? `${replyTo.name || ''} <${replyTo.email}>` : 'none',
+    htmlLength: message.html.length,
+    attachmentsCount: message.attachments.length,
+  });
+
+  try {
+    const result = await transport.send(message);
 
     // Return a format similar to nodemailer for compatibility
     return {
-      messageId: messageId,
-      accepted: [options.to],
+      messageId: String(result.messageId),
+      // Per-recipient provider ids, for providers that assign them
+      recipientMessageIds: result.recipients || [],
+      rfcMessageId: messageId,
+      accepted: message.to.map((address) => address.email),
       rejected: [],
-      response: `Mailjet: ${response.status} ${response.statusText}`,
+      response: result.response,
+      provider: transport.name,
     };
   } catch (err) {
-    console.error('[MAILER] Mailjet send error', {
+    console.error(`[MAILER] ${transport.name} send error`, {
       name: err && err.name,
       message: err && err.message,
       code: err && err.code,
@@ -388,8 +257,15 @@ const sendMail = async (options = {}) => {
 };
 
 module.exports = {
-  sendMail,
-  isMailerConfigured: isConfigured,
-  createSender,
-  validateSender,
+  deliverMail,
+  // Kept for callers that still import the old name
+  sendMail: deliverMail,
+  isMailerConfigured: Boolean(transport),
+  mailTransport: transport ? transport.name : null,
+  parseAddress,
+  parseAddressList,
+  generateMessageId,
+  createSender: mailjet.createSender,
+  validateSender: mailjet.validateSender,
+  getSender: mailjet.getSender,
 };
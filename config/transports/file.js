@@ -0,0 +1,49 @@
+// Local "file" transport: renders each message to an .eml file instead of
+// sending it. Used for integration tests and demos without provider credentials.
+// Optional env vars:
+// - MAIL_FILE_DIR  (output directory, defaults to ./mail-outbox)
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { toNodemailerOptions } = require('./smtp');
+
+const outputDir = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+const renderer = nodemailer.createTransport({
+  streamTransport: true,
+  buffer: true,
+  newline: 'unix',
+});
+
+// Needs no credentials, but is only used when MAIL_TRANSPORT=file selects it
+const isConfigured = () => true;
+
+const send = async (message) => {
+  const info = await renderer.sendMail(toNodemailerOptions(message));
+
+  const safeId = String(info.messageId).replace(/[^a-zA-Z0-9._-]/g, '');
+  const filePath = path.join(outputDir, `${Date.now()}-${safeId}.eml`);
+
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(filePath, info.message);
+
+  console.log('[MAILER] Message written to file', {
+    messageId: info.messageId,
+    to: message.to.map((address) => address.email),
+    subject: message.subject,
+    filePath,
+  });
+
+  return {
+    messageId: info.messageId,
+    response: `File: ${filePath}`,
+  };
+};
+
+module.exports = {
+  name: 'file',
+  defaultFrom: process.env.MAIL_FROM,
+  isConfigured,
+  send,
+};
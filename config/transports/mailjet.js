@@ -0,0 +1,250 @@
+// Mailjet HTTP API transport (works on Render and other cloud platforms).
+// Required env vars:
+// - MAILJET_API_KEY     (your Mailjet API key)
+// - MAILJET_SECRET_KEY  (your Mailjet secret key)
+// - MAILJET_FROM        (optional, e.g. "Modern Mail <your-email@gmail.com>")
+//                        IMPORTANT: Use an email address you own and can verify!
+
+const apiKey = process.env.MAILJET_API_KEY;
+const secretKey = process.env.MAILJET_SECRET_KEY;
+
+const isConfigured = () => Boolean(apiKey && secretKey);
+
+// Helper function to make authenticated Mailjet API requests
+const mailjetRequest = async (endpoint, method = 'GET', body = null) => {
+  const authHeader = Buffer.from(`${apiKey}:${secretKey}`).toString('base64');
+  const url = `https://api.mailjet.com/v3/REST${endpoint}`;
+  
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Basic ${authHeader}`,
+    },
+  };
+  
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+  
+  const response = await fetch(url, options);
+  const responseText = await response.text();
+  let responseData;
+  
+  try {
+    responseData = JSON.parse(responseText);
+  } catch {
+    responseData = { raw: responseText };
+  }
+  
+  return { response, data: responseData };
+};
+
+// Helper function to create a sender
+const createSender = async (email, name = 'Modern Mail') => {
+  try {
+    console.log('[MAILER] Creating sender:', email);
+    const { response, data } = await mailjetRequest('/sender', 'POST', {
+      Email: email,
+      Name: name,
+      EmailType: 'transactional',
+    });
+    
+    if (response.ok && data.Data && data.Data[0]) {
+      const sender = data.Data[0];
+      console.log('[MAILER] Sender created:', {
+        id: sender.ID,
+        email: sender.Email,
+        status: sender.Status,
+      });
+      return sender;
+    } else {
+      console.error('[MAILER] Failed to create sender:', data);
+      return null;
+    }
+  } catch (err) {
+    console.error('[MAILER] Error creating sender:', err.message);
+    return null;
+  }
+};
+
+// Helper function to validate a sender (sends verification email)
+const validateSender = async (senderId) => {
+  try {
+    console.log('[MAILER] Validating sender ID:', senderId);
+    const { response, data } = await mailjetRequest(`/sender/${senderId}/validate`, 'POST');
+    
+    if (response.ok) {
+      console.log('[MAILER] Validation email sent for sender ID:', senderId);
+      return true;
+    } else {
+      console.error('[MAILER] Failed to validate sender:', data);
+      return false;
+    }
+  } catch (err) {
+    console.error('[MAILER] Error validating sender:', err.message);
+    return false;
+  }
+};
+
+// Looks up a sender; Status is "Active" once its owner clicked the
+// validation link, otherwise "Inactive"
+const getSender = async (senderId) => {
+  try {
+    const { response, data } = await mailjetRequest(`/sender/${senderId}`);
+
+    if (response.ok && data.Data && data.Data[0]) {
+      return data.Data[0];
+    }
+    console.error('[MAILER] Failed to load sender:', data);
+    return null;
+  } catch (err) {
+    console.error('[MAILER] Error loading sender:', err.message);
+    return null;
+  }
+};
+
+const toMailjetAddress = (address) =>
+  address.name ? { Email: address.email, Name: address.name } : { Email: address.email };
+
+// Sends a normalized message (see config/mailer.js) through Mailjet v3.1
+const send = async (message) => {
+  // Mailjet API format - use verified sender for FROM, user's email for Reply-To
+  const payload = {
+    Messages: [
+      {
+        From: {
+          Email: message.from.email,  // Always use verified sender (ensures delivery)
+          Name: message.from.name,
+        },
+        To: message.to.map(toMailjetAddress),
+        Subject: message.subject,
+        HTMLPart: message.html,
+        TextPart: message.text,
+      },
+    ],
+  };
+
+  if (message.cc.length > 0) {
+    payload.Messages[0].Cc = message.cc.map(toMailjetAddress);
+  }
+
+  if (message.bcc.length > 0) {
+    payload.Messages[0].Bcc = message.bcc.map(toMailjetAddress);
+  }
+
+  if (message.replyTo) {
+    payload.Messages[0].ReplyTo = {
+      Email: message.replyTo.email,
+      Name: message.replyTo.name || message.replyTo.email,
+    };
+  }
+
+  if (message.headers && Object.keys(message.headers).length > 0) {
+    payload.Messages[0].Headers = message.headers;
+  }
+
+  if (message.attachments.length > 0) {
+    payload.Messages[0].Attachments = message.attachments.map((attachment) => ({
+      ContentType: attachment.contentType,
+      Filename: attachment.filename,
+      Base64Content: attachment.content.toString('base64'),
+    }));
+  }
+
+  // Mailjet API endpoint (v3.1 gives more detailed feedback)
+  const apiUrl = 'https://api.mailjet.com/v3.1/send';
+  
+  // Create Basic Auth header (API key:Secret key)
+  const authHeader = Buffer.from(`${apiKey}:${secretKey}`).toString('base64');
+  
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Basic ${authHeader}`,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const responseText = await response.text();
+  let responseData;
+  
+  try {
+    responseData = JSON.parse(responseText);
+  } catch {
+    responseData = { raw: responseText };
+  }
+  
+  if (!response.ok) {
+    console.error('[MAILER] Mailjet API error response', {
+      status: response.status,
+      statusText: response.statusText,
+      body: responseData,
+    });
+    
+    // Check if error is about unvalidated sender
+    const errorMessage = responseData.ErrorMessage || responseData.ErrorInfo || responseData.message || '';
+    if (errorMessage.toLowerCase().includes('not been validated') || 
+        errorMessage.toLowerCase().includes('sender') && errorMessage.toLowerCase().includes('validate')) {
+      const fromEmail = message.from.email;
+      console.error('[MAILER] ⚠️  SENDER VALIDATION REQUIRED');
+      console.error('[MAILER] The sender email address needs to be validated in Mailjet.');
+      console.error('[MAILER] Sender email:', fromEmail);
+      console.error('[MAILER]');
+      console.error('[MAILER] To fix this:');
+      console.error('[MAILER] 1. Go to https://app.mailjet.com/account/sender');
+      console.error('[MAILER] 2. Add and verify your sender email:', fromEmail);
+      console.error('[MAILER] 3. Or use an email address you already verified');
+      console.error('[MAILER]');
+      console.error('[MAILER] You can also create the sender programmatically - check the logs above.');
+      
+      throw new Error(
+        `Sender email "${fromEmail}" is not validated. ` +
+        `Please verify this email address in Mailjet dashboard (https://app.mailjet.com/account/sender) ` +
+        `or use a different verified email address.`
+      );
+    }
+    
+    throw new Error(
+      errorMessage ||
+      `Mailjet API error: ${response.status} ${response.statusText}`
+    );
+  }
+
+  console.log('[MAILER] Mailjet response', {
+    statusCode: response.status,
+    statusText: response.statusText,
+    data: responseData,
+  });
+
+  // Extract message ID from Mailjet response
+  const messageId = responseData.Messages && responseData.Messages[0] && responseData.Messages[0].To && responseData.Messages[0].To[0] 
+    ? responseData.Messages[0].To[0].MessageID 
+    : responseData.Messages?.[0]?.MessageID || `mailjet-${Date.now()}`;
+
+  // Mailjet assigns one MessageID per recipient and reports events against it
+  const sentMessage = (responseData.Messages && responseData.Messages[0]) || {};
+  const recipients = [...(sentMessage.To || []), ...(sentMessage.Cc || []), ...(sentMessage.Bcc || [])]
+    .filter((recipient) => recipient && recipient.MessageID)
+    .map((recipient) => ({
+      email: String(recipient.Email || '').toLowerCase(),
+      messageId: String(recipient.MessageID),
+    }));
+
+  return {
+    messageId: messageId,
+    recipients,
+    response: `Mailjet: ${response.status} ${response.statusText}`,
+  };
+};
+
+module.exports = {
+  name: 'mailjet',
+  defaultFrom: process.env.MAILJET_FROM,
+  isConfigured,
+  send,
+  createSender,
+  validateSender,
+  getSender,
+};
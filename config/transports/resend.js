@@ -0,0 +1,55 @@
+// Resend HTTP API transport.
+// Required env vars:
+// - RESEND_API_KEY  (your Resend API key)
+// - RESEND_FROM     (optional, e.g. "Modern Mail <mail@your-domain.com>")
+
+const { Resend } = require('resend');
+
+let client = null;
+
+const isConfigured = () => Boolean(process.env.RESEND_API_KEY);
+
+const formatAddress = (address) =>
+  address.name ? `${address.name} <${address.email}>` : address.email;
+
+const send = async (message) => {
+  if (!client) {
+    client = new Resend(process.env.RESEND_API_KEY);
+  }
+
+  const { data, error } = await client.emails.send({
+    from: formatAddress(message.from),
+    to: message.to.map(formatAddress),
+    cc: message.cc.length > 0 ? message.cc.map(formatAddress) : undefined,
+    bcc: message.bcc.length > 0 ? message.bcc.map(formatAddress) : undefined,
+    replyTo: message.replyTo ? formatAddress(message.replyTo) : undefined,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.headers,
+    attachments: message.attachments.map((attachment) => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      contentType: attachment.contentType,
+    })),
+  });
+
+  if (error) {
+    console.error('[MAILER] Resend API error response', error);
+    throw new Error(error.message || `Resend API error: ${error.name}`);
+  }
+
+  console.log('[MAILER] Resend response', { id: data.id });
+
+  return {
+    messageId: data.id,
+    response: 'Resend: accepted',
+  };
+};
+
+module.exports = {
+  name: 'resend',
+  defaultFrom: process.env.RESEND_FROM,
+  isConfigured,
+  send,
+};
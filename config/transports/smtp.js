@@ -0,0 +1,79 @@
+// Generic SMTP transport backed by nodemailer (see SMTP_SETUP.md).
+// Required env vars:
+// - SMTP_HOST, SMTP_PORT, SMTP_SECURE
+// - SMTP_USER, SMTP_PASS  (optional for relays that don't require auth)
+// - SMTP_FROM             (optional friendly From header, defaults to SMTP_USER)
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const isConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const toNodemailerAddress = (address) => ({ name: address.name || '', address: address.email });
+
+// nodemailer sets these from dedicated options instead of custom headers
+const THREADING_HEADERS = ['Message-ID', 'In-Reply-To', 'References'];
+
+// Converts a normalized message (see config/mailer.js) into nodemailer options.
+// Shared with the file transport, which renders the same options to .eml.
+const toNodemailerOptions = (message) => ({
+  from: toNodemailerAddress(message.from),
+  to: message.to.map(toNodemailerAddress),
+  cc: message.cc.length > 0 ? message.cc.map(toNodemailerAddress) : undefined,
+  bcc: message.bcc.length > 0 ? message.bcc.map(toNodemailerAddress) : undefined,
+  replyTo: message.replyTo ? toNodemailerAddress(message.replyTo) : undefined,
+  subject: message.subject,
+  text: message.text,
+  html: message.html,
+  headers: Object.fromEntries(
+    Object.entries(message.headers).filter(([name]) => !THREADING_HEADERS.includes(name))
+  ),
+  messageId: message.messageId,
+  inReplyTo: message.inReplyTo || undefined,
+  references: message.references.length > 0 ? message.references : undefined,
+  attachments: message.attachments.map((attachment) => ({
+    filename: attachment.filename,
+    content: attachment.content,
+    contentType: attachment.contentType,
+  })),
+});
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(toNodemailerOptions(message));
+
+  console.log('[MAILER] SMTP response', {
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected,
+    response: info.response,
+  });
+
+  return {
+    messageId: info.messageId,
+    response: `SMTP: ${info.response}`,
+  };
+};
+
+module.exports = {
+  name: 'smtp',
+  defaultFrom: process.env.SMTP_FROM || process.env.SMTP_USER,
+  isConfigured,
+  send,
+  toNodemailerOptions,
+};
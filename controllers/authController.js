@@ -1,9 +1,62 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken, revokeSessions } = require('../services/sessions');
+const { deliverMail } = require('../config/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { publicUrl } = require('../utils/publicUrl');
+const { automationHeaders } = require('../utils/autoSubmitted');
+const { CHALLENGE_TTL, createChallenge, readChallenge, verifySecondFactor } = require('../services/twoFactor');
 
-const generateToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const MIN_PASSWORD_LENGTH = 6;
+const VERIFICATION_TTL_HOURS = 24;
+const RESET_TTL_MINUTES = 60;
+// Another verification or reset email is only sent after this long
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const toUserView = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+});
+
+// Stores a fresh verification token (an earlier link stops working) and mails
+// the link to the account address
+const sendVerificationEmail = async (req, user) => {
+  const { token, tokenHash } = generateToken();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerification: {
+          tokenHash,
+          expiresAt: new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+          sentAt: new Date(),
+        },
+      },
+    }
+  );
+
+  const link = publicUrl(req, `/api/auth/verify-email?token=${token}`);
+  await deliverMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${VERIFICATION_TTL_HOURS} hours. Until then your account can't send mail.`,
+      'If you did not sign up, ignore this email.',
+    ].join('\n'),
+    headers: automationHeaders('auto-generated'),
+  });
+};
+
+const sentRecently = (sentAt) => Boolean(sentAt) && Date.now() - new Date(sentAt).getTime() < RESEND_INTERVAL_MS;
 
 exports.register = async (req, res, next) => {
   try {
@@ -12,6 +65,9 @@ exports.register = async (req, res, next) => {
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'All fields are required' });
     }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
 
     const existingUser = await User.findOne({ email: email.toLowerCase() });
 
@@ -27,15 +83,21 @@ exports.register = async (req, res, next) => {
       password: hashedPassword,
     });
 
-    const token = generateToken(user._id);
+    // The account exists either way; the link can be requested again
+    let verificationSent = true;
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (error) {
+      verificationSent = false;
+      console.error(`[AUTH] Verification email to ${user.email} failed:`, error.message);
+    }
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-      },
-      token,
+      user: toUserView(user),
+      ...tokens,
+      verificationSent,
     });
   } catch (error) {
     next(error);
@@ -62,18 +124,320 @@ exports.login = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    // The session is only issued by the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user),
+        expiresIn: CHALLENGE_TTL,
+      });
+    }
+
+    const tokens = await createSession(user, req);
 
     res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-      },
-      token,
+      user: toUserView(user),
+      ...tokens,
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Second login step for accounts with 2FA: the challenge token from `login`
+// plus a TOTP or recovery code
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'challengeToken and code are required' });
+    }
+
+    const userId = readChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge expired; please log in again' });
+    }
+
+    const verified = await verifySecondFactor(userId, code);
+    if (verified.status) {
+      return res.status(verified.status).json({ message: verified.message });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      user: toUserView(user),
+      ...tokens,
+      ...(verified.method === 'recovery' ? { usedRecoveryCode: true } : {}),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public: the refresh token is the credential. Returns a new access token and
+// a new refresh token; the one sent is spent.
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Ends the session the request was made with
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSessions({ _id: req.sessionId, user: req.user._id }, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ends every session of the account, including this one
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const result = await revokeSessions({ user: req.user._id }, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', revoked: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('device userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: String(session._id) === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.revokeSession = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const result = await revokeSessions({ _id: req.params.id, user: req.user._id }, 'revoked');
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Target of the emailed link; the token is the only credential
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const token = String(req.query.token || '');
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { 'emailVerification.tokenHash': hashToken(token), 'emailVerification.expiresAt': { $gt: new Date() } },
+      {
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          emailVerification: { tokenHash: null, expiresAt: null, sentAt: null },
+        },
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    console.log('[AUTH] Email verified', { userId: user._id, email: user.email });
+    res.json({ message: `${user.email} is verified` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json({ message: 'Your email address is already verified' });
+    }
+    if (sentRecently(req.user.emailVerification && req.user.emailVerification.sentAt)) {
+      return res.status(429).json({ message: 'A verification email was just sent; please wait a minute' });
+    }
+
+    try {
+      await sendVerificationEmail(req, req.user);
+    } catch (error) {
+      console.error(`[AUTH] Verification email to ${req.user.email} failed:`, error.message);
+      return res.status(502).json({ message: 'The verification email could not be sent' });
+    }
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Always answers the same way so it can't be used to probe for accounts
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const response = { message: 'If an account exists for this address, a reset email has been sent' };
+    const user = await User.findOne({ email });
+    if (!user || sentRecently(user.passwordReset && user.passwordReset.sentAt)) {
+      return res.json(response);
+    }
+
+    const { token, tokenHash } = generateToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordReset: {
+            tokenHash,
+            expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+            sentAt: new Date(),
+          },
+        },
+      }
+    );
+
+    // PASSWORD_RESET_URL is the client page that posts to /reset-password
+    const lines = [`Hi ${user.name},`, '', 'Someone asked to reset the password of your account.'];
+    if (process.env.PASSWORD_RESET_URL) {
+      lines.push('To choose a new password, open this link:', `${process.env.PASSWORD_RESET_URL}?token=${token}`);
+    } else {
+      lines.push('Use this reset token to choose a new password:', token);
+    }
+    lines.push(
+      '',
+      `It expires in ${RESET_TTL_MINUTES} minutes and works once. If you did not ask for this, ignore this email; your password stays the same.`
+    );
+
+    try {
+      await deliverMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: lines.join('\n'),
+        headers: automationHeaders('auto-generated'),
+      });
+    } catch (error) {
+      console.error(`[AUTH] Password reset email to ${user.email} failed:`, error.message);
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Redeems a reset token. Every session is ended, so a stolen refresh token
+// dies with the old password.
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const now = new Date();
+    // Clearing the hash in the same update makes the token single-use
+    const user = await User.findOneAndUpdate(
+      { 'passwordReset.tokenHash': hashToken(token), 'passwordReset.expiresAt': { $gt: now } },
+      {
+        $set: {
+          password: hashedPassword,
+          passwordChangedAt: now,
+          passwordReset: { tokenHash: null, expiresAt: null, sentAt: null },
+        },
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'This reset token is invalid or has expired' });
+    }
+
+    // Receiving the token proves the mailbox belongs to the account
+    if (!user.emailVerified) {
+      await User.updateOne({ _id: user._id }, { $set: { emailVerified: true, emailVerifiedAt: now } });
+    }
+    await revokeSessions({ user: user._id }, 'password_changed');
+
+    console.log('[AUTH] Password reset', { userId: user._id });
+    res.json({ message: 'Password updated; please log in again' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Keeps the current session and ends all others
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'currentPassword and newPassword are required' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user._id).select('password');
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { password: await bcrypt.hash(newPassword, 10), passwordChangedAt: new Date() } }
+    );
+    const result = await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } }, 'password_changed');
+
+    res.json({ message: 'Password changed', revokedSessions: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+};
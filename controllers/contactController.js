@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const ContactGroup = require('../models/ContactGroup');
+const { parseAddressList, isValidEmail } = require('../utils/addressParser');
+const { escapeRegex } = require('../utils/mailSearch');
+const { parseVCards, toVCards } = require('../utils/vcard');
+const { parseBoolean } = require('../utils/parseBoolean');
+
+const CONTACT_FIELDS = ['name', 'company', 'notes', 'favorite'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 25;
+// Contacts loaded per autocomplete query before ranking by send count
+const AUTOCOMPLETE_CANDIDATES = 100;
+
+// Accepts an array or a comma separated string of addresses
+const normalizeEmails = (input) => {
+  const { addresses, groups, errors } = parseAddressList(input);
+
+  if (groups.length > 0) {
+    errors.push(...groups.map((group) => ({ address: `@${group}`, message: 'Contact groups are not allowed here' })));
+  }
+  if (errors.length > 0) {
+    return { error: 'Invalid email', errors };
+  }
+  if (addresses.length === 0) {
+    return { error: 'At least one email is required' };
+  }
+  return { emails: addresses.map((address) => address.email) };
+};
+
+// Keeps send statistics for addresses that stay on the contact
+const mergeEmailStats = (emails, existing = []) => {
+  const stats = new Map(existing.map((entry) => [entry.address, entry]));
+  return emails.map((address) => stats.get(address) || { address });
+};
+
+const pickContactFields = (body) => {
+  const fields = {};
+  for (const key of CONTACT_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.favorite !== undefined) {
+    fields.favorite = Boolean(parseBoolean(fields.favorite));
+  }
+  return fields;
+};
+
+const handleDuplicate = (error, res) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({ message: 'One of these emails already belongs to another contact' });
+    return true;
+  }
+  return false;
+};
+
+exports.getContacts = async (req, res, next) => {
+  try {
+    const filter = { owner: req.user._id };
+
+    const favorite = parseBoolean(req.query.favorite);
+    if (favorite !== undefined) filter.favorite = favorite;
+    const frequent = parseBoolean(req.query.frequent);
+    if (frequent !== undefined) filter.frequent = frequent;
+
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegex(String(req.query.q).trim()), $options: 'i' };
+      filter.$or = [{ name: pattern }, { 'emails.address': pattern }, { company: pattern }];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const [contacts, total] = await Promise.all([
+      Contact.find(filter).sort({ favorite: -1, nameKey: 1, _id: 1 }).skip(skip).limit(limit).lean(),
+      Contact.countDocuments(filter),
+    ]);
+
+    res.json({ contacts, total, limit, skip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Prefix match on name or address, one suggestion per address, most
+// emailed first
+exports.autocomplete = async (req, res, next) => {
+  try {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    if (!query) {
+      return res.json([]);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+    const prefix = new RegExp(`^${escapeRegex(query)}`);
+
+    const contacts = await Contact.find({
+      owner: req.user._id,
+      $or: [{ nameKey: prefix }, { 'emails.address': prefix }],
+    })
+      .select('name nameKey emails favorite')
+      // Most-used first before the cap, so heavy contacts are never cut off;
+      // on an array field a descending sort uses each contact's highest value
+      .sort({ 'emails.sendCount': -1, favorite: -1, 'emails.lastSentAt': -1, _id: 1 })
+      .limit(AUTOCOMPLETE_CANDIDATES)
+      .lean();
+
+    const suggestions = contacts.flatMap((contact) => {
+      const nameMatches = prefix.test(contact.nameKey);
+      return contact.emails
+        .filter((email) => nameMatches || prefix.test(email.address))
+        .map((email) => ({
+          contactId: contact._id,
+          name: contact.name,
+          email: email.address,
+          favorite: contact.favorite,
+          sendCount: email.sendCount || 0,
+          lastSentAt: email.lastSentAt,
+        }));
+    });
+
+    suggestions.sort(
+      (a, b) =>
+        b.sendCount - a.sendCount ||
+        Number(b.favorite) - Number(a.favorite) ||
+        new Date(b.lastSentAt || 0) - new Date(a.lastSentAt || 0) ||
+        a.email.localeCompare(b.email)
+    );
+
+    res.json(suggestions.slice(0, limit));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getContactById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.id, owner: req.user._id }).lean();
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    res.json(contact);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createContact = async (req, res, next) => {
+  try {
+    const normalized = normalizeEmails(req.body.emails);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error, errors: normalized.errors });
+    }
+
+    const contact = await Contact.create({
+      ...pickContactFields(req.body),
+      owner: req.user._id,
+      emails: mergeEmailStats(normalized.emails),
+    });
+
+    res.status(201).json(contact);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.updateContact = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const fields = pickContactFields(req.body);
+    if (req.body.emails !== undefined) {
+      const normalized = normalizeEmails(req.body.emails);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error, errors: normalized.errors });
+      }
+      fields.emails = mergeEmailStats(normalized.emails, contact.emails);
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    // Saved through the document so the name key stays in sync. Editing a
+    // harvested contact makes it a regular one.
+    contact.set({ ...fields, frequent: false });
+    await contact.save();
+
+    res.json(contact);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.deleteContact = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const contact = await Contact.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    await ContactGroup.updateMany(
+      { owner: req.user._id, contacts: contact._id },
+      { $pull: { contacts: contact._id } }
+    );
+
+    res.json({ message: 'Contact deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accepts a raw text/vcard body or JSON { vcard }. Cards sharing an address
+// with an existing contact are merged into it (empty fields are filled in,
+// new addresses added); the rest become new contacts.
+exports.importContacts = async (req, res, next) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.vcard;
+    if (!text || !String(text).includes('BEGIN:VCARD')) {
+      return res.status(400).json({ message: 'Expected vCard data' });
+    }
+
+    const results = { created: 0, updated: 0, skipped: 0, errors: [] };
+    const cards = parseVCards(text);
+
+    for (const [index, card] of cards.entries()) {
+      const emails = [...new Set(card.emails.filter(isValidEmail))];
+      if (emails.length === 0) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        const matches = await Contact.find({ owner: req.user._id, 'emails.address': { $in: emails } });
+        const target = matches[0];
+        // Addresses already on a different contact stay where they are
+        const taken = new Set(
+          matches.slice(1).flatMap((contact) => contact.emails.map((email) => email.address))
+        );
+
+        if (target) {
+          const known = new Set(target.emails.map((email) => email.address));
+          const added = emails.filter((email) => !known.has(email) && !taken.has(email));
+          target.set({
+            name: target.name || card.name,
+            company: target.company || card.company,
+            notes: target.notes || card.notes,
+            emails: [...target.emails, ...added.map((address) => ({ address }))],
+            frequent: false,
+          });
+          await target.save();
+          results.updated++;
+        } else {
+          await Contact.create({
+            owner: req.user._id,
+            name: card.name,
+            company: card.company,
+            notes: card.notes,
+            emails: emails.map((address) => ({ address })),
+          });
+          results.created++;
+        }
+      } catch (error) {
+        results.errors.push({ card: index, name: card.name, error: error.message });
+      }
+    }
+
+    res.json({ ...results, total: cards.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// All contacts, or only ?ids=a,b,c, as a single .vcf file
+exports.exportContacts = async (req, res, next) => {
+  try {
+    const filter = { owner: req.user._id };
+
+    if (req.query.ids) {
+      const ids = String(req.query.ids).split(',').map((id) => id.trim()).filter(Boolean);
+      if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Invalid contact id' });
+      }
+      filter._id = { $in: ids };
+    }
+
+    const contacts = await Contact.find(filter).sort({ nameKey: 1, _id: 1 }).lean();
+
+    res.set('Content-Type', 'text/vcard; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="contacts.vcf"');
+    res.send(contacts.length > 0 ? toVCards(contacts) : '');
+  } catch (error) {
+    next(error);
+  }
+};
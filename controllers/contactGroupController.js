@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const ContactGroup = require('../models/ContactGroup');
+const Contact = require('../models/Contact');
+const { parseAddressList } = require('../utils/addressParser');
+
+const handleDuplicate = (error, res) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({ message: 'A group with this name already exists' });
+    return true;
+  }
+  return false;
+};
+
+// Validates the editable fields present in `body`. Returns { fields } or
+// { error } (with per-address `errors` for bad emails).
+const buildGroupFields = async (ownerId, body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name).trim().replace(/^@/, '').toLowerCase();
+    if (!ContactGroup.GROUP_NAME_PATTERN.test(name) || name.length > 64) {
+      return {
+        error: 'Group name must start with a letter or digit and contain only letters, digits, ".", "_" or "-"',
+      };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description);
+  }
+
+  if (body.contacts !== undefined) {
+    if (!Array.isArray(body.contacts)) {
+      return { error: 'contacts must be an array of contact ids' };
+    }
+    const ids = [...new Set(body.contacts.map(String))];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid contact id' };
+    }
+    const count = await Contact.countDocuments({ _id: { $in: ids }, owner: ownerId });
+    if (count !== ids.length) {
+      return { error: 'Contact not found' };
+    }
+    fields.contacts = ids;
+  }
+
+  if (body.emails !== undefined) {
+    // Groups hold plain addresses; nesting other groups is not supported
+    const { addresses, groups, errors } = parseAddressList(body.emails);
+    errors.push(...groups.map((group) => ({ address: `@${group}`, message: 'Groups cannot contain other groups' })));
+    if (errors.length > 0) {
+      return { error: 'Invalid email', errors };
+    }
+    fields.emails = addresses.map((address) => address.email);
+  }
+
+  return { fields };
+};
+
+// Adds the addresses the group currently expands to
+const withMembers = (group) => {
+  const members = [
+    ...group.contacts
+      .filter((contact) => contact.emails && contact.emails.length > 0)
+      .map((contact) => ({ contactId: contact._id, name: contact.name, email: contact.emails[0].address })),
+    ...group.emails.map((email) => ({ contactId: null, name: '', email })),
+  ];
+  return { ...group, reference: `@${group.name}`, members };
+};
+
+exports.getGroups = async (req, res, next) => {
+  try {
+    const groups = await ContactGroup.find({ owner: req.user._id }).sort({ name: 1 }).lean();
+
+    res.json(
+      groups.map((group) => ({
+        ...group,
+        reference: `@${group.name}`,
+        memberCount: group.contacts.length + group.emails.length,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getGroupById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const group = await ContactGroup.findOne({ _id: req.params.id, owner: req.user._id })
+      .populate('contacts', 'name emails')
+      .lean();
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json(withMembers(group));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createGroup = async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ message: 'Group name is required' });
+    }
+
+    const { fields, error, errors } = await buildGroupFields(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json({ message: error, errors });
+    }
+
+    const group = await ContactGroup.create({ ...fields, owner: req.user._id });
+    res.status(201).json({ ...group.toObject(), reference: `@${group.name}` });
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.updateGroup = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { fields, error, errors } = await buildGroupFields(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json({ message: error, errors });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const group = await ContactGroup.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json({ ...group, reference: `@${group.name}` });
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.deleteGroup = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const group = await ContactGroup.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json({ message: `Group @${group.name} deleted` });
+  } catch (error) {
+    next(error);
+  }
+};
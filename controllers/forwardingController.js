@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const ForwardingAddress = require('../models/ForwardingAddress');
+const User = require('../models/User');
+const { deliverMail } = require('../config/mailer');
+const { parseAddressList } = require('../utils/addressParser');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { publicUrl } = require('../utils/publicUrl');
+const { automationHeaders } = require('../utils/autoSubmitted');
+const { parseBoolean } = require('../utils/parseBoolean');
+const { validateConditions } = require('../services/rulesEngine');
+
+const MAX_ADDRESSES = 5;
+const VERIFICATION_TTL_HOURS = 72;
+const MAX_CONDITIONS = 20;
+
+const toForwarding = (user) => {
+  const forwarding = user.forwarding || {};
+  return {
+    enabled: Boolean(forwarding.enabled),
+    localCopy: forwarding.localCopy || 'keep',
+    match: forwarding.match || 'all',
+    conditions: forwarding.conditions || [],
+  };
+};
+
+// Mails the verification link to the target address. Stores a fresh token
+// first, so an earlier link stops working.
+const sendVerification = async (req, address) => {
+  const { token, tokenHash } = generateToken();
+  address.tokenHash = tokenHash;
+  address.tokenExpiresAt = new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  address.verificationSentAt = new Date();
+  await address.save();
+
+  const link = publicUrl(req, `/api/forwarding/verify?token=${token}`);
+  const text = [
+    `${req.user.name} (${req.user.email}) asked to forward their incoming email to this address.`,
+    '',
+    'To allow it, open this link:',
+    link,
+    '',
+    `The link expires in ${VERIFICATION_TTL_HOURS} hours. If you did not expect this email, ignore it; nothing will be forwarded.`,
+  ].join('\n');
+
+  await deliverMail({
+    to: address.email,
+    subject: `Confirm email forwarding from ${req.user.email}`,
+    text,
+    headers: automationHeaders('auto-generated'),
+  });
+};
+
+// Never expose the token hash
+const toAddressView = (address) => ({
+  _id: address._id,
+  email: address.email,
+  status: address.status,
+  tokenExpiresAt: address.tokenExpiresAt,
+  verificationSentAt: address.verificationSentAt,
+  verifiedAt: address.verifiedAt,
+  createdAt: address.createdAt,
+  updatedAt: address.updatedAt,
+});
+
+const findOwnAddress = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? ForwardingAddress.findOne({ _id: req.params.id, owner: req.user._id })
+    : null;
+
+exports.getForwarding = async (req, res, next) => {
+  try {
+    const addresses = await ForwardingAddress.find({ owner: req.user._id }).sort({ createdAt: 1 }).lean();
+    res.json({ ...toForwarding(req.user), addresses });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateForwarding = async (req, res, next) => {
+  try {
+    const forwarding = toForwarding(req.user);
+
+    if (req.body.enabled !== undefined) {
+      const enabled = parseBoolean(req.body.enabled);
+      if (enabled === undefined) {
+        return res.status(400).json({ message: 'enabled must be true or false' });
+      }
+      forwarding.enabled = enabled;
+    }
+
+    if (req.body.localCopy !== undefined) {
+      if (!['keep', 'trash'].includes(req.body.localCopy)) {
+        return res.status(400).json({ message: 'localCopy must be "keep" or "trash"' });
+      }
+      forwarding.localCopy = req.body.localCopy;
+    }
+
+    if (req.body.match !== undefined) {
+      if (!['all', 'any'].includes(req.body.match)) {
+        return res.status(400).json({ message: 'match must be "all" or "any"' });
+      }
+      forwarding.match = req.body.match;
+    }
+
+    if (req.body.conditions !== undefined) {
+      const conditions = req.body.conditions || [];
+      if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+        return res.status(400).json({ message: `conditions must be an array of at most ${MAX_CONDITIONS} conditions` });
+      }
+      const errors = validateConditions(conditions);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid conditions', errors });
+      }
+      forwarding.conditions = conditions;
+    }
+
+    if (forwarding.enabled && !(await ForwardingAddress.exists({ owner: req.user._id, status: 'verified' }))) {
+      return res.status(409).json({ message: 'Verify a forwarding address before turning forwarding on' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { forwarding } },
+      { new: true, runValidators: true }
+    );
+
+    res.json(toForwarding(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.addForwardingAddress = async (req, res, next) => {
+  try {
+    const { addresses, groups, errors } = parseAddressList(req.body.email);
+    if (errors.length > 0 || groups.length > 0 || addresses.length !== 1) {
+      return res.status(400).json({ message: 'A single valid email is required', errors });
+    }
+    const { email } = addresses[0];
+
+    if (email === req.user.email) {
+      return res.status(400).json({ message: 'Mail cannot be forwarded to your own address' });
+    }
+    if ((await ForwardingAddress.countDocuments({ owner: req.user._id })) >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `At most ${MAX_ADDRESSES} forwarding addresses are allowed` });
+    }
+
+    let address;
+    try {
+      address = await ForwardingAddress.create({ owner: req.user._id, email });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'This forwarding address already exists' });
+      }
+      throw error;
+    }
+
+    try {
+      await sendVerification(req, address);
+    } catch (error) {
+      console.error(`[FORWARD] Verification email to ${email} failed:`, error.message);
+      return res.status(502).json({
+        message: 'Address added but the verification email could not be sent; try resending it',
+        address: toAddressView(address),
+      });
+    }
+
+    res.status(201).json({ ...toAddressView(address), message: `Verification email sent to ${email}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) {
+      return res.status(404).json({ message: 'Forwarding address not found' });
+    }
+    if (address.status === 'verified') {
+      return res.status(409).json({ message: 'This address is already verified' });
+    }
+
+    try {
+      await sendVerification(req, address);
+    } catch (error) {
+      console.error(`[FORWARD] Verification email to ${address.email} failed:`, error.message);
+      return res.status(502).json({ message: 'The verification email could not be sent' });
+    }
+
+    res.json({ message: `Verification email sent to ${address.email}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forwarding switches itself off when the last verified address goes
+exports.deleteForwardingAddress = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Forwarding address not found' });
+    }
+
+    const address = await ForwardingAddress.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!address) {
+      return res.status(404).json({ message: 'Forwarding address not found' });
+    }
+
+    if (!(await ForwardingAddress.exists({ owner: req.user._id, status: 'verified' }))) {
+      await User.updateOne({ _id: req.user._id }, { $set: { 'forwarding.enabled': false } });
+    }
+
+    res.json({ message: 'Forwarding address deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Target of the emailed link; the token is the only credential
+exports.verifyForwardingAddress = async (req, res, next) => {
+  try {
+    const token = String(req.query.token || '');
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const address = await ForwardingAddress.findOneAndUpdate(
+      { tokenHash: hashToken(token), status: 'pending', tokenExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'verified', verifiedAt: new Date(), tokenHash: null, tokenExpiresAt: null } },
+      { new: true }
+    );
+    if (!address) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    console.log('[FORWARD] Forwarding address verified', { owner: address.owner, email: address.email });
+    res.json({ message: `${address.email} can now receive forwarded email` });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const Identity = require('../models/Identity');
+const { mailTransport, createSender, validateSender, getSender } = require('../config/mailer');
+const { parseAddressList } = require('../utils/addressParser');
+const { parseBoolean } = require('../utils/parseBoolean');
+
+const MAX_SIGNATURE_LENGTH = 10000;
+
+// One plain address, or '' when `allowEmpty` and nothing was given
+const parseSingleAddress = (value, field, { allowEmpty = false } = {}) => {
+  if (allowEmpty && (value === null || String(value).trim() === '')) {
+    return { email: '' };
+  }
+  const { addresses, groups, errors } = parseAddressList(value);
+  if (errors.length > 0 || groups.length > 0 || addresses.length !== 1) {
+    return { error: `${field} must be a single valid email address`, errors };
+  }
+  return { email: addresses[0].email };
+};
+
+// Validates the editable fields present in `body`. Returns { fields } or { error }.
+const buildIdentityFields = (body, { creating }) => {
+  const fields = {};
+
+  if (body.name !== undefined || creating) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Display name is required' };
+    fields.name = name;
+  }
+
+  if (body.email !== undefined || creating) {
+    const parsed = parseSingleAddress(body.email, 'email');
+    if (parsed.error) return parsed;
+    fields.email = parsed.email;
+  }
+
+  if (body.replyTo !== undefined) {
+    const parsed = parseSingleAddress(body.replyTo, 'replyTo', { allowEmpty: true });
+    if (parsed.error) return parsed;
+    fields.replyTo = parsed.email;
+  }
+
+  for (const key of ['signatureHtml', 'signatureText']) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null ? '' : String(body[key]);
+    if (value.length > MAX_SIGNATURE_LENGTH) {
+      return { error: `${key} must be at most ${MAX_SIGNATURE_LENGTH} characters` };
+    }
+    fields[key] = value;
+  }
+
+  if (body.isDefault !== undefined) {
+    const isDefault = parseBoolean(body.isDefault);
+    if (isDefault === undefined) return { error: 'isDefault must be true or false' };
+    fields.isDefault = isDefault;
+  }
+
+  return { fields };
+};
+
+const handleDuplicate = (error, res) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({ message: 'You already have an identity with this email' });
+    return true;
+  }
+  return false;
+};
+
+// Only one identity is the default
+const clearOtherDefaults = (ownerId, identityId) =>
+  Identity.updateMany({ owner: ownerId, _id: { $ne: identityId }, isDefault: true }, { $set: { isDefault: false } });
+
+const findOwnIdentity = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? Identity.findOne({ _id: req.params.id, owner: req.user._id })
+    : null;
+
+exports.getIdentities = async (req, res, next) => {
+  try {
+    const identities = await Identity.find({ owner: req.user._id })
+      .sort({ isDefault: -1, name: 1, _id: 1 })
+      .lean();
+    res.json(identities);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createIdentity = async (req, res, next) => {
+  try {
+    const { fields, error, errors } = buildIdentityFields(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ message: error, errors });
+    }
+
+    // The first identity becomes the default
+    if (fields.isDefault === undefined) {
+      fields.isDefault = !(await Identity.exists({ owner: req.user._id }));
+    }
+
+    const identity = await Identity.create({ ...fields, owner: req.user._id });
+    if (identity.isDefault) {
+      await clearOtherDefaults(req.user._id, identity._id);
+    }
+
+    res.status(201).json(identity);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.updateIdentity = async (req, res, next) => {
+  try {
+    const identity = await findOwnIdentity(req);
+    if (!identity) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+
+    const { fields, error, errors } = buildIdentityFields(req.body, { creating: false });
+    if (error) {
+      return res.status(400).json({ message: error, errors });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    // A new address needs its own sender verification
+    if (fields.email && fields.email !== identity.email) {
+      fields.sender = { provider: null, senderId: null, status: 'none', requestedAt: null, verifiedAt: null };
+    }
+
+    identity.set(fields);
+    await identity.save();
+    if (fields.isDefault) {
+      await clearOtherDefaults(req.user._id, identity._id);
+    }
+
+    res.json(identity);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+// Mail that still points at a deleted identity is sent without it
+exports.deleteIdentity = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+
+    const identity = await Identity.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!identity) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+
+    res.json({ message: 'Identity deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Registers the identity's address as a Mailjet sender (once) and has
+// Mailjet email a validation link to it
+exports.requestSenderVerification = async (req, res, next) => {
+  try {
+    const identity = await findOwnIdentity(req);
+    if (!identity) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+    if (mailTransport !== 'mailjet') {
+      return res.status(409).json({ message: 'Sender verification is only available with the Mailjet transport' });
+    }
+    if (identity.sender.status === 'active' && identity.sender.provider === 'mailjet') {
+      return res.status(409).json({ message: 'This address is already a verified sender' });
+    }
+
+    if (!identity.sender.senderId || identity.sender.provider !== 'mailjet') {
+      const sender = await createSender(identity.email, identity.name);
+      if (!sender) {
+        return res.status(502).json({ message: 'Could not register the sender with the mail provider' });
+      }
+      identity.sender.provider = 'mailjet';
+      identity.sender.senderId = String(sender.ID);
+    }
+
+    const sent = await validateSender(identity.sender.senderId);
+    if (!sent) {
+      await identity.save();
+      return res.status(502).json({ message: 'Could not send the verification email' });
+    }
+
+    identity.sender.status = 'pending';
+    identity.sender.requestedAt = new Date();
+    await identity.save();
+
+    res.status(202).json({
+      message: `Verification email sent to ${identity.email}; check again once the link is clicked`,
+      identity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Asks the provider whether the validation link was clicked
+exports.checkSenderVerification = async (req, res, next) => {
+  try {
+    const identity = await findOwnIdentity(req);
+    if (!identity) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+    if (!identity.sender.senderId || identity.sender.provider !== mailTransport) {
+      return res.json({ status: identity.sender.status, identity });
+    }
+
+    const sender = await getSender(identity.sender.senderId);
+    if (!sender) {
+      return res.status(502).json({ message: 'Could not load the sender from the mail provider' });
+    }
+
+    if (sender.Status === 'Active' && identity.sender.status !== 'active') {
+      identity.sender.status = 'active';
+      identity.sender.verifiedAt = new Date();
+      await identity.save();
+      console.log('[IDENTITY] Sender verified', { identity: identity._id, email: identity.email });
+    }
+
+    res.json({ status: identity.sender.status, identity });
+  } catch (error) {
+    next(error);
+  }
+};
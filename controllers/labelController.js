@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Mail = require('../models/Mail');
+const Rule = require('../models/Rule');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Returns an error message when `parentId` can't be used as the parent of `labelId`
+const validateParent = async (ownerId, parentId, labelId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return 'Invalid parent label';
+  }
+
+  // Walk up from the new parent; reaching the label itself would create a cycle
+  let current = await Label.findOne({ _id: parentId, owner: ownerId }).lean();
+  if (!current) {
+    return 'Parent label not found';
+  }
+
+  while (current) {
+    if (labelId && String(current._id) === String(labelId)) {
+      return 'A label cannot be nested inside itself';
+    }
+    current = current.parent
+      ? await Label.findOne({ _id: current.parent, owner: ownerId }).lean()
+      : null;
+  }
+
+  return null;
+};
+
+const handleDuplicate = (error, res) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({ message: 'A label with this name already exists at this level' });
+    return true;
+  }
+  return false;
+};
+
+exports.getLabels = async (req, res, next) => {
+  try {
+    const [labels, counts] = await Promise.all([
+      Label.find({ owner: req.user._id }).sort({ name: 1 }).lean(),
+      Mail.aggregate([
+        { $match: { owner: req.user._id, folder: { $ne: 'trash' }, 'labels.0': { $exists: true } } },
+        { $unwind: '$labels' },
+        {
+          $group: {
+            _id: '$labels',
+            total: { $sum: 1 },
+            unread: { $sum: { $cond: [{ $eq: ['$isRead', true] }, 0, 1] } },
+          },
+        },
+      ]),
+    ]);
+
+    const countsById = new Map(counts.map(count => [String(count._id), count]));
+
+    res.json(
+      labels.map(label => {
+        const count = countsById.get(String(label._id));
+        return {
+          ...label,
+          total: count ? count.total : 0,
+          unread: count ? count.unread : 0,
+        };
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createLabel = async (req, res, next) => {
+  try {
+    const { name, color, parent = null } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Label name is required' });
+    }
+
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ message: 'Color must be a hex value like #1a73e8' });
+    }
+
+    if (parent) {
+      const parentError = await validateParent(req.user._id, parent);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const label = await Label.create({
+      owner: req.user._id,
+      name,
+      color,
+      parent: parent || null,
+    });
+
+    res.status(201).json(label);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.updateLabel = async (req, res, next) => {
+  try {
+    const { name, color, parent } = req.body;
+    const update = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Label name cannot be empty' });
+      }
+      update.name = name;
+    }
+
+    if (color !== undefined) {
+      if (!COLOR_PATTERN.test(color)) {
+        return res.status(400).json({ message: 'Color must be a hex value like #1a73e8' });
+      }
+      update.color = color;
+    }
+
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await validateParent(req.user._id, parent, req.params.id);
+        if (parentError) {
+          return res.status(400).json({ message: parentError });
+        }
+      }
+      update.parent = parent || null;
+    }
+
+    const label = await Label.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    res.json(label);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.deleteLabel = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    const label = await Label.findOne({ _id: req.params.id, owner: req.user._id }).lean();
+
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    // Child labels move up one level instead of being deleted with their
+    // parent, so they must not clash with a label already at that level.
+    // Checked before anything is deleted.
+    const children = await Label.find({ owner: req.user._id, parent: label._id }).select('name').lean();
+    if (children.length > 0) {
+      const clashes = await Label.find({
+        owner: req.user._id,
+        parent: label.parent,
+        _id: { $ne: label._id },
+        name: { $in: children.map(child => child.name) },
+      })
+        .select('name')
+        .lean();
+      if (clashes.length > 0) {
+        return res.status(409).json({
+          message: 'Rename or move the nested labels first; these names already exist one level up',
+          conflicts: clashes.map(clash => clash.name),
+        });
+      }
+    }
+
+    await Label.deleteOne({ _id: label._id, owner: req.user._id });
+
+    await Label.updateMany(
+      { owner: req.user._id, parent: label._id },
+      { parent: label.parent }
+    );
+
+    const result = await Mail.updateMany(
+      { owner: req.user._id, labels: label._id },
+      { $pull: { labels: label._id } }
+    );
+
+    // Filter rules stop labelling with it; a rule left without any action
+    // is disabled rather than matching and doing nothing
+    const rules = await Rule.updateMany(
+      { owner: req.user._id, 'actions.label': label._id },
+      { $pull: { actions: { type: 'label', label: label._id } } }
+    );
+    if (rules.modifiedCount > 0) {
+      await Rule.updateMany({ owner: req.user._id, actions: { $size: 0 } }, { enabled: false });
+    }
+
+    res.json({
+      message: 'Label deleted',
+      unlabeledCount: result.modifiedCount,
+      updatedRuleCount: rules.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
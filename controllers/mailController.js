@@ -1,24 +1,117 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Mail = require('../models/Mail');
-const User = require('../models/User');
+const Label = require('../models/Label');
 const axios = require('axios');
-const { sendMail: deliverMail, isMailerConfigured } = require('../config/mailer');
+const { isMailerConfigured, generateMessageId } = require('../config/mailer');
+const { parseSearchQuery, highlight } = require('../utils/mailSearch');
+const { withPrefix, quoteOriginal, buildForward } = require('../utils/mailContent');
+const { parseRecipientFields, toAddresses, formatAddressList } = require('../utils/addressParser');
+const { getDeliveryTimeline } = require('../services/deliveryEvents');
+const { filterSuppressedRecipients, suppressionWarning } = require('../services/suppressionList');
+const { expandGroupReferences } = require('../services/groupExpansion');
+const { resolveIdentity, fromAddress, ownAddresses } = require('../services/identities');
+const {
+  processDueMail,
+  processMailNow,
+  scheduleOutboxDispatch,
+} = require('../services/scheduledMailProcessor');
+const { normalizeRecurrence, nextOccurrence } = require('../utils/recurrence');
+const { parseBoolean } = require('../utils/parseBoolean');
 
-const ALLOWED_FOLDERS = ['inbox', 'sent', 'trash', 'drafts', 'scheduled'];
+const ALLOWED_FOLDERS = ['inbox', 'sent', 'trash', 'drafts', 'scheduled', 'archive', 'outbox', 'failed'];
 
+// Folders a message can be moved into by the user (the rest are managed by the app)
+const MOVE_TARGETS = ['inbox', 'archive', 'trash'];
+
+// Query/body flag name -> Mail field
+const FLAG_FIELDS = {
+  read: 'isRead',
+  starred: 'isStarred',
+  important: 'isImportant',
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SNIPPET_LENGTH = 200;
+
+// Cursors are opaque to clients: base64url of the last item's sort value + _id
+const encodeCursor = (mail, sortField) =>
+  Buffer.from(JSON.stringify({ v: mail[sortField], id: mail._id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return { value: v === null ? null : new Date(v), id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Total and unread counts for every folder of a user, for the sidebar badges
+const getFolderCounts = async (ownerId) => {
+  const groups = await Mail.aggregate([
+    // Counted like the scheduled listing: a recurring series that ended keeps
+    // its template in the scheduled folder but is no longer scheduled
+    { $match: { owner: ownerId, $nor: [{ folder: 'scheduled', isScheduled: { $ne: true } }] } },
+    {
+      $group: {
+        _id: '$folder',
+        total: { $sum: 1 },
+        unread: { $sum: { $cond: [{ $eq: ['$isRead', true] }, 0, 1] } },
+      },
+    },
+  ]);
+
+  const counts = {};
+  for (const name of ALLOWED_FOLDERS) {
+    counts[name] = { total: 0, unread: 0 };
+  }
+  for (const group of groups) {
+    counts[group._id] = { total: group.total, unread: group.unread };
+  }
+  return counts;
+};
+
+// Without cursor, view or limit this answers like it always did: a plain
+// array of full mails for the whole folder. Passing any of them opts in to
+// pages of summaries wrapped in { mails, meta }.
 exports.getMails = async (req, res, next) => {
   try {
-    const { folder = 'inbox' } = req.query;
+    const { label, cursor } = req.query;
+    const paginated = cursor !== undefined || req.query.view !== undefined || req.query.limit !== undefined;
+    const view = req.query.view || (paginated ? 'summary' : 'full');
+    const folder = label ? null : req.query.folder || 'inbox';
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
 
-    if (!ALLOWED_FOLDERS.includes(folder)) {
+    if (folder && !ALLOWED_FOLDERS.includes(folder)) {
       return res.status(400).json({ message: 'Invalid folder' });
     }
 
+    if (!['summary', 'full'].includes(view)) {
+      return res.status(400).json({ message: 'view must be "summary" or "full"' });
+    }
+
     let query = {
       owner: req.user._id,
     };
 
-    // For scheduled folder, show all scheduled emails (not yet sent)
-    if (folder === 'scheduled') {
+    if (label) {
+      // Custom label view: everything carrying the label except trash
+      const labelDoc = mongoose.Types.ObjectId.isValid(label)
+        ? await Label.findOne({ _id: label, owner: req.user._id }).select('_id').lean()
+        : null;
+      if (!labelDoc) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+      query.labels = labelDoc._id;
+      query.folder = { $ne: 'trash' };
+    } else if (folder === 'scheduled') {
+      // For scheduled folder, show all scheduled emails (not yet sent)
       query = {
         owner: req.user._id,
         isScheduled: true,
@@ -28,11 +121,164 @@ exports.getMails = async (req, res, next) => {
       query.folder = folder;
     }
 
-    const mails = await Mail.find(query)
-      .sort(folder === 'scheduled' ? { scheduledAt: 1 } : { createdAt: -1 })
-      .lean();
+    // Optional flag filters, e.g. ?read=false&starred=true
+    for (const [flag, field] of Object.entries(FLAG_FIELDS)) {
+      const value = parseBoolean(req.query[flag]);
+      if (value !== undefined) {
+        // Mail stored before flags existed has no field at all, so match "not true"
+        query[field] = value ? true : { $ne: true };
+      }
+    }
+
+    // Scheduled mail is listed soonest first, everything else newest first.
+    // _id breaks ties so a cursor never skips or repeats mail with equal dates.
+    const sortField = folder === 'scheduled' ? 'scheduledAt' : 'createdAt';
+    const direction = folder === 'scheduled' ? 1 : -1;
+    const comparator = direction === 1 ? '$gt' : '$lt';
+
+    const matchQuery = { ...query };
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      matchQuery.$or = [
+        { [sortField]: { [comparator]: position.value } },
+        { [sortField]: position.value, _id: { [comparator]: position.id } },
+      ];
+    }
+
+    const pipeline = [
+      { $match: matchQuery },
+      { $sort: { [sortField]: direction, _id: direction } },
+    ];
+    if (paginated) {
+      // One extra row tells us whether another page exists
+      pipeline.push({ $limit: limit + 1 });
+    }
+
+    if (view === 'summary') {
+      pipeline.push(
+        {
+          $addFields: {
+            snippet: { $substrCP: [{ $ifNull: ['$body', ''] }, 0, SNIPPET_LENGTH] },
+            attachmentsCount: { $size: { $ifNull: ['$attachments', []] } },
+          },
+        },
+        { $project: { body: 0, htmlBody: 0, attachments: 0 } }
+      );
+    }
+
+    if (!paginated) {
+      return res.json(await Mail.aggregate(pipeline));
+    }
+
+    const [rows, folderCounts, labelCounts] = await Promise.all([
+      Mail.aggregate(pipeline),
+      getFolderCounts(req.user._id),
+      label
+        ? Promise.all([
+            Mail.countDocuments({ owner: req.user._id, labels: query.labels, folder: { $ne: 'trash' } }),
+            Mail.countDocuments({ owner: req.user._id, labels: query.labels, folder: { $ne: 'trash' }, isRead: { $ne: true } }),
+          ])
+        : null,
+    ]);
+
+    const hasMore = rows.length > limit;
+    const mails = hasMore ? rows.slice(0, limit) : rows;
+    const current = labelCounts
+      ? { total: labelCounts[0], unread: labelCounts[1] }
+      : folderCounts[folder];
+
+    res.json({
+      mails,
+      meta: {
+        folder,
+        label: label || null,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(mails[mails.length - 1], sortField) : null,
+        total: current.total,
+        unread: current.unread,
+        folders: folderCounts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.searchMails = async (req, res, next) => {
+  try {
+    const { q = '' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // ?q=a&q=b (or q[x]=...) arrives as an array or object
+    if (typeof q !== 'string') {
+      return res.status(400).json({ message: 'q must be a single search string' });
+    }
+
+    if (!q.trim()) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const { filter, terms, folder, errors } = parseSearchQuery(q);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid search query', errors });
+    }
+
+    const query = {
+      ...filter,
+      owner: req.user._id,
+    };
+
+    // Like Gmail, trash is only searched when asked for explicitly
+    if (!folder) {
+      query.folder = { $ne: 'trash' };
+    } else if (folder !== 'anywhere') {
+      if (!ALLOWED_FOLDERS.includes(folder)) {
+        return res.status(400).json({ message: 'Invalid folder' });
+      }
+      query.folder = folder;
+    }
+
+    let sort = { createdAt: -1 };
+    let projection = { htmlBody: 0 };
+    if (terms.length > 0) {
+      query.$text = {
+        $search: terms.map(term => (/\s/.test(term) ? `"${term}"` : term)).join(' '),
+      };
+      projection = { ...projection, score: { $meta: 'textScore' } };
+      sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+    }
 
-    res.json(mails);
+    const [total, mails] = await Promise.all([
+      Mail.countDocuments(query),
+      Mail.find(query, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const results = mails.map(({ body, ...mail }) => ({
+      ...mail,
+      snippet: highlight(body, terms),
+      highlights: {
+        subject: highlight(mail.subject, terms, Infinity),
+      },
+    }));
+
+    res.json({
+      query: q,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      results,
+    });
   } catch (error) {
     next(error);
   }
@@ -40,157 +286,378 @@ exports.getMails = async (req, res, next) => {
 
 exports.getMailById = async (req, res, next) => {
   try {
-    const mail = await Mail.findOne({
+    const filter = {
       _id: req.params.id,
       owner: req.user._id,
-    }).lean();
+    };
+
+    // Opening a message marks it read unless the client passes ?markRead=false
+    const mail = parseBoolean(req.query.markRead) === false
+      ? await Mail.findOne(filter).lean()
+      : await Mail.findOneAndUpdate(filter, { isRead: true }, { new: true }).lean();
 
     if (!mail) {
       return res.status(404).json({ message: 'Mail not found' });
     }
 
+    // Only mail sent by this user has a delivery history
+    if (mail.delivery && mail.delivery.status) {
+      mail.deliveryTimeline = await getDeliveryTimeline(mail);
+    }
+
     res.json(mail);
   } catch (error) {
     next(error);
   }
 };
 
-exports.sendMail = async (req, res, next) => {
-  try {
-    const { to, cc = '', bcc = '', subject = '', body = '', htmlBody = '', scheduledAt, attachments = [], draftId } = req.body;
+// Shared by sendMail, replies and forwards: schedules the mail or queues it
+// in the outbox and dispatches it through the send queue.
+const sendComposedMail = async (req, res, composed) => {
+  const {
+    subject = '',
+    body = '',
+    htmlBody = '',
+    scheduledAt,
+    attachments = [],
+    draftId,
+    inReplyTo = null,
+    references = [],
+    recurrence: recurrenceInput,
+    identityId,
+  } = composed;
 
-    if (!to) {
-      return res.status(400).json({ message: 'Recipient email is required' });
+  // Every recipient is validated up front so the client can point at the
+  // exact address that is wrong
+  const parsed = parseRecipientFields(composed);
+  if (parsed.errors.length > 0) {
+    return res.status(400).json({ message: 'Invalid recipients', errors: parsed.errors });
+  }
+  const { to = [], cc = [], bcc = [] } = parsed.recipients;
+
+  if (to.length === 0) {
+    return res.status(400).json({ message: 'Recipient email is required' });
+  }
+
+  if (!isMailerConfigured) {
+    return res
+      .status(500)
+      .json({ message: 'Outgoing email service is not configured on the server' });
+  }
+
+  // The named identity, or the user's default one; the signature is added
+  // when the mail is sent
+  const { identity, error: identityError } = await resolveIdentity(req.user._id, identityId);
+  if (identityError) {
+    return res.status(400).json({ message: identityError });
+  }
+  const sender = {
+    from: fromAddress(identity, req.user.email),
+    identity: identity ? identity._id : null,
+  };
+
+  // Contact group references ("@name") are expanded into their members,
+  // then suppressed addresses are stripped with a warning; the send is
+  // blocked only when no "to" recipient is left
+  const expanded = await expandGroupReferences(req.user._id, { to, cc, bcc });
+  if (expanded.error) {
+    return res.status(400).json({ message: expanded.error });
+  }
+  if (expanded.to.length === 0) {
+    return res.status(400).json({ message: 'The contact groups in "to" have no members' });
+  }
+  const recipients = await filterSuppressedRecipients(req.user._id, expanded);
+  if (recipients.to.length === 0) {
+    return res.status(422).json({
+      message: 'Every "to" recipient is on the suppression list',
+      suppressed: recipients.suppressed,
+    });
+  }
+  const suppressionNotice = recipients.suppressed.length > 0
+    ? { warning: suppressionWarning(recipients.suppressed), suppressed: recipients.suppressed }
+    : {};
+  const suppressionRecord = recipients.suppressed.length > 0
+    ? { suppressedRecipients: recipients.suppressed }
+    : {};
+  const groupRecord = expanded.groups.length > 0 ? { recipientGroups: expanded.groups } : {};
+
+  // Recurring mail always goes through the scheduler; the first run is the
+  // given scheduledAt or the rule's next occurrence
+  let recurrence = null;
+  let firstRunAt = scheduledAt;
+  if (recurrenceInput) {
+    const anchor = scheduledAt ? new Date(scheduledAt) : new Date();
+    const normalized = normalizeRecurrence(recurrenceInput, anchor);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
     }
+    recurrence = { ...normalized.recurrence, occurrences: 0, status: 'active' };
 
-    if (!isMailerConfigured) {
-      return res
-        .status(500)
-        .json({ message: 'Outgoing email service is not configured on the server' });
+    if (!scheduledAt || new Date(scheduledAt) <= new Date()) {
+      firstRunAt = nextOccurrence(recurrence, new Date());
+      if (!firstRunAt) {
+        return res.status(400).json({ message: 'Recurrence has no future occurrences' });
+      }
     }
+  }
+
+  // Check if this is a scheduled email
+  const isScheduled = Boolean(firstRunAt && new Date(firstRunAt) > new Date());
+
+  console.log('[MAIL] sendMail called', {
+    user: req.user && req.user.email,
+    userId: req.user && req.user._id,
+    to: formatAddressList(recipients.to),
+    cc: formatAddressList(recipients.cc),
+    bcc: formatAddressList(recipients.bcc),
+    groups: expanded.groups.map((group) => `@${group.name}`),
+    identity: identity && identity.email,
+    subject,
+    bodyLength: (body || '').length,
+    htmlBodyLength: (htmlBody || '').length,
+    attachmentsCount: attachments ? attachments.length : 0,
+    isScheduled,
+    scheduledAt: firstRunAt,
+    recurrence: recurrence && recurrence.cron,
+    draftId,
+    inReplyTo,
+  });
 
-    // Check if this is a scheduled email
-    const isScheduled = scheduledAt && new Date(scheduledAt) > new Date();
+  const threading = {
+    messageId: generateMessageId(),
+    inReplyTo,
+    references,
+    threadId: composed.threadId || crypto.randomUUID(),
+  };
 
-    console.log('[MAIL] sendMail called', {
-      user: req.user && req.user.email,
-      userId: req.user && req.user._id,
+  // If scheduled, save to database with scheduled flag
+  if (isScheduled) {
+    const scheduledMail = await Mail.create({
+      owner: req.user._id,
+      ...sender,
+      // Stored as written: groups and suppressions are resolved again when
+      // the mail is actually sent
       to,
       cc,
       bcc,
+      ...groupRecord,
       subject,
-      bodyLength: (body || '').length,
-      htmlBodyLength: (htmlBody || '').length,
-      attachmentsCount: attachments ? attachments.length : 0,
-      isScheduled,
-      scheduledAt,
-      draftId,
+      body,
+      htmlBody,
+      attachments,
+      ...threading,
+      isRead: true,
+      scheduledAt: new Date(firstRunAt),
+      isScheduled: true,
+      delivery: { status: 'pending', queuedAt: new Date() },
+      ...(recurrence ? { recurrence } : {}),
+      folder: 'scheduled', // Store in scheduled folder
     });
 
-    // If scheduled, save to database with scheduled flag
-    if (isScheduled) {
-      const scheduledMail = await Mail.create({
-        owner: req.user._id,
-        from: req.user.email,
-        to,
-        cc,
-        bcc,
-        subject,
-        body,
-        htmlBody,
-        attachments,
-        scheduledAt: new Date(scheduledAt),
-        isScheduled: true,
-        folder: 'scheduled', // Store in scheduled folder
-      });
+    if (draftId) {
+      await Mail.deleteOne({ _id: draftId, owner: req.user._id });
+    }
 
-      if (draftId) {
-        await Mail.deleteOne({ _id: draftId, owner: req.user._id });
-      }
+    return res.status(201).json({
+      ...scheduledMail.toObject(),
+      ...suppressionNotice,
+      message: 'Email scheduled successfully',
+    });
+  }
 
-      return res.status(201).json({
-        ...scheduledMail.toObject(),
-        message: 'Email scheduled successfully',
-      });
+  // Every send goes through the outbox so the delivery record survives
+  // provider failures. With an undo window the mail waits there until the
+  // window has passed; otherwise it is dispatched right away.
+  const undoSeconds = req.user.undoSendSeconds || 0;
+  const dueAt = new Date(Date.now() + undoSeconds * 1000);
+  const outboxMail = await Mail.create({
+    owner: req.user._id,
+    ...sender,
+    to: recipients.to,
+    cc: recipients.cc,
+    bcc: recipients.bcc,
+    ...groupRecord,
+    subject,
+    body,
+    htmlBody,
+    attachments,
+    ...threading,
+    isRead: true,
+    scheduledAt: dueAt,
+    delivery: { status: 'pending', queuedAt: new Date(), ...suppressionRecord },
+    folder: 'outbox',
+  });
+
+  if (draftId) {
+    await Mail.deleteOne({ _id: draftId, owner: req.user._id, folder: 'drafts' });
+  }
+
+  if (undoSeconds > 0) {
+    scheduleOutboxDispatch(outboxMail._id, dueAt);
+
+    return res.status(201).json({
+      ...outboxMail.toObject(),
+      undoUntil: dueAt,
+      ...suppressionNotice,
+      message: `Email queued; it can be undone for ${undoSeconds} seconds`,
+    });
+  }
+
+  // Send immediately
+  const outcome = await processMailNow(outboxMail._id);
+  const mail = await Mail.findById(outboxMail._id).lean();
+
+  if (!outcome) {
+    // Another worker claimed it between create and dispatch; it will send it
+    return res.status(202).json({ ...mail, ...suppressionNotice, message: 'Email is being sent' });
+  }
+
+  if (!outcome.sent) {
+    console.error('[MAIL] Error while sending email via provider:', {
+      mailId: outboxMail._id,
+      message: outcome.error,
+    });
+    return res.status(502).json({
+      message: outcome.exhausted
+        ? 'Failed to send email via provider'
+        : 'Failed to send email via provider; it will be retried automatically',
+      details: outcome.error,
+      ...suppressionNotice,
+      mail,
+    });
+  }
+
+  return res.status(201).json({ ...mail, ...suppressionNotice });
+};
+
+exports.sendMail = async (req, res, next) => {
+  try {
+    await sendComposedMail(req, res, req.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Loads the message being replied to / forwarded and makes sure it has a
+// thread id, so the new message and the original end up in the same thread.
+const loadOriginalForThread = async (req) => {
+  const original = await Mail.findOne({
+    _id: req.params.id,
+    owner: req.user._id,
+  });
+
+  if (original && !original.threadId) {
+    original.threadId = crypto.randomUUID();
+    await original.save();
+  }
+
+  return original;
+};
+
+const threadingFor = (original) => ({
+  threadId: original.threadId,
+  inReplyTo: original.messageId || null,
+  references: [...(original.references || []), original.messageId].filter(Boolean),
+});
+
+// Replies go back to the original sender, or to the original recipient when
+// replying to something we sent ourselves.
+const replyHandler = (replyAll) => async (req, res, next) => {
+  try {
+    const original = await loadOriginalForThread(req);
+
+    if (!original) {
+      return res.status(404).json({ message: 'Mail not found' });
     }
 
-    // Send immediately
-    try {
-      const result = await deliverMail({
-        to,
-        cc: cc || undefined,
-        bcc: bcc || undefined,
-        subject,
-        text: body,
-        html: htmlBody || body,
-        userFrom: req.user.email,
-        attachments: attachments || [],
-      });
-      console.log('[MAIL] deliverMail result (raw):', result);
-    } catch (sendError) {
-      console.error('[MAIL] Error while sending email via provider:', {
-        name: sendError && sendError.name,
-        message: sendError && sendError.message,
-        stack: sendError && sendError.stack,
-        responseBody: sendError && sendError.response && sendError.response.body,
-      });
-      return res.status(502).json({
-        message: 'Failed to send email via provider',
-        details: sendError.message,
-      });
+    const { body = '', htmlBody = '', attachments = [], scheduledAt, quote = true, identityId } = req.body;
+    // The account address plus any verified identity addresses
+    const self = await ownAddresses(req.user);
+    const isOwnMessage = self.has(original.from);
+    const to = isOwnMessage ? toAddresses(original.to) : toAddresses(original.from);
+    const replyTo = new Set(to.map((address) => address.email));
+
+    let cc = req.body.cc || [];
+    if (replyAll && !req.body.cc) {
+      cc = [
+        ...(isOwnMessage ? [] : toAddresses(original.to)),
+        ...toAddresses(original.cc),
+      ].filter((address) => !self.has(address.email) && !replyTo.has(address.email));
     }
 
-    const senderMail = await Mail.create({
-      owner: req.user._id,
-      from: req.user.email,
+    const content = quote ? quoteOriginal(original, { body, htmlBody }) : { body, htmlBody };
+
+    await sendComposedMail(req, res, {
       to,
       cc,
-      bcc,
-      subject,
-      body,
-      htmlBody,
+      bcc: req.body.bcc || [],
+      subject: withPrefix('Re', original.subject),
+      ...content,
       attachments,
-      folder: 'sent',
+      scheduledAt,
+      identityId,
+      ...threadingFor(original),
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Parse recipients (to, cc, bcc)
-    const recipients = [to];
-    if (cc) recipients.push(...cc.split(',').map(e => e.trim()));
-    if (bcc) recipients.push(...bcc.split(',').map(e => e.trim()));
-
-    // Create inbox entries for recipients
-    for (const recipientEmail of recipients) {
-      const recipient = await User.findOne({ email: recipientEmail.toLowerCase() });
-      if (recipient) {
-        const inboxMail = await Mail.create({
-          owner: recipient._id,
-          from: req.user.email,
-          to: recipientEmail,
-          cc: recipientEmail === to ? cc : undefined,
-          bcc: undefined, // BCC recipients shouldn't see each other
-          subject,
-          body,
-          htmlBody,
-          attachments,
-          folder: 'inbox',
-        });
-        
-        console.log('[MAIL] Email saved to recipient inbox', {
-          recipientEmail: recipientEmail,
-          mailId: inboxMail._id,
-          bodyLength: (inboxMail.body || '').length,
-          htmlBodyLength: (inboxMail.htmlBody || '').length,
-          attachmentsCount: inboxMail.attachments ? inboxMail.attachments.length : 0,
-          subject: inboxMail.subject,
-        });
-      }
+exports.replyMail = replyHandler(false);
+exports.replyAllMail = replyHandler(true);
+
+exports.forwardMail = async (req, res, next) => {
+  try {
+    const original = await loadOriginalForThread(req);
+
+    if (!original) {
+      return res.status(404).json({ message: 'Mail not found' });
     }
 
-    if (draftId) {
-      await Mail.deleteOne({ _id: draftId, owner: req.user._id, folder: 'drafts' });
+    const { to, cc = [], bcc = [], body = '', htmlBody = '', attachments = [], scheduledAt, identityId } = req.body;
+
+    const forward = buildForward(original, { body, htmlBody });
+
+    // Forwards stay in the sender's thread but are not a reply to anyone
+    const { threadId, references } = threadingFor(original);
+
+    await sendComposedMail(req, res, {
+      to,
+      cc,
+      bcc,
+      subject: forward.subject,
+      body: forward.body,
+      htmlBody: forward.htmlBody,
+      attachments: [...forward.attachments, ...attachments],
+      scheduledAt,
+      identityId,
+      threadId,
+      references,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getThread = async (req, res, next) => {
+  try {
+    const messages = await Mail.find({
+      owner: req.user._id,
+      threadId: req.params.threadId,
+      folder: { $ne: 'trash' },
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (messages.length === 0) {
+      return res.status(404).json({ message: 'Thread not found' });
     }
 
-    res.status(201).json(senderMail);
+    res.json({
+      threadId: req.params.threadId,
+      count: messages.length,
+      messages,
+    });
   } catch (error) {
     next(error);
   }
@@ -198,16 +665,38 @@ exports.sendMail = async (req, res, next) => {
 
 exports.saveDraft = async (req, res, next) => {
   try {
-    const { id, to = '', cc = '', bcc = '', subject = '', body = '', htmlBody = '', scheduledAt } = req.body;
+    const { id, subject = '', body = '', htmlBody = '', scheduledAt, identityId } = req.body;
+
+    const parsed = parseRecipientFields(req.body);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid recipients', errors: parsed.errors });
+    }
+    const { to = [], cc = [], bcc = [] } = parsed.recipients;
+
+    // Drafts keep group references as typed; the expansion is only a
+    // snapshot of who would receive it and is redone at send time
+    const expanded = await expandGroupReferences(req.user._id, { to, cc, bcc });
+    if (expanded.error) {
+      return res.status(400).json({ message: expanded.error });
+    }
+
+    const { identity, error: identityError } = await resolveIdentity(req.user._id, identityId);
+    if (identityError) {
+      return res.status(400).json({ message: identityError });
+    }
+
     const payload = {
       owner: req.user._id,
-      from: req.user.email,
+      from: fromAddress(identity, req.user.email),
+      identity: identity ? identity._id : null,
       to,
       cc,
       bcc,
+      recipientGroups: expanded.groups,
       subject,
       body,
       htmlBody,
+      isRead: true,
       folder: 'drafts',
     };
 
@@ -235,52 +724,292 @@ exports.saveDraft = async (req, res, next) => {
   }
 };
 
-exports.deleteMail = async (req, res, next) => {
+exports.updateFlags = async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+
+    const update = {};
+    for (const [flag, field] of Object.entries(FLAG_FIELDS)) {
+      if (req.body[flag] === undefined) continue;
+
+      const value = parseBoolean(req.body[flag]);
+      if (value === undefined) {
+        return res.status(400).json({ message: `${flag} must be true or false` });
+      }
+      update[field] = value;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res
+        .status(400)
+        .json({ message: 'At least one of read, starred or important is required' });
+    }
+
+    const result = await Mail.updateMany(
+      {
+        _id: { $in: ids },
+        owner: req.user._id,
+      },
+      { $set: update }
+    );
+
+    res.json({
+      message: 'Flags updated',
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pulls a message out of the outbox while its undo window is still open
+exports.undoSend = async (req, res, next) => {
   try {
     const mail = await Mail.findOneAndUpdate(
       {
         _id: req.params.id,
         owner: req.user._id,
+        folder: 'outbox',
+        'delivery.status': { $in: [null, 'pending'] },
+        scheduledAt: { $gt: new Date() },
+      },
+      {
+        $set: {
+          folder: 'drafts',
+          scheduledAt: null,
+          'delivery.status': null,
+          'delivery.attempts': 0,
+        },
       },
-      { folder: 'trash' },
       { new: true }
     );
 
     if (!mail) {
-      return res.status(404).json({ message: 'Mail not found' });
+      const exists = await Mail.exists({ _id: req.params.id, owner: req.user._id });
+      return exists
+        ? res.status(409).json({ message: 'Undo window has passed; the email is already being sent' })
+        : res.status(404).json({ message: 'Mail not found' });
     }
 
-    res.json(mail);
+    res.json({
+      ...mail.toObject(),
+      message: 'Send undone; the email was moved back to drafts',
+    });
   } catch (error) {
     next(error);
   }
 };
 
-exports.restoreMail = async (req, res, next) => {
-  try {
-    const { folder = 'inbox' } = req.body;
-    const targetFolder = ALLOWED_FOLDERS.includes(folder) ? folder : 'inbox';
+// Update pipeline that trashes mail while remembering where it came from.
+// Labels are left untouched so a restore brings them back too.
+const TRASH_UPDATE = [
+  {
+    $set: {
+      previousFolder: {
+        $cond: [{ $eq: ['$folder', 'trash'] }, '$previousFolder', '$folder'],
+      },
+      folder: 'trash',
+    },
+  },
+];
 
+exports.deleteMail = async (req, res, next) => {
+  try {
     const mail = await Mail.findOneAndUpdate(
       {
         _id: req.params.id,
         owner: req.user._id,
-        folder: 'trash',
+        // Mail the scheduler is sending right now can't be pulled back
+        'delivery.status': { $ne: 'processing' },
       },
-      { folder: targetFolder },
+      TRASH_UPDATE,
       { new: true }
     );
 
+    if (!mail) {
+      const exists = await Mail.exists({ _id: req.params.id, owner: req.user._id });
+      return exists
+        ? res.status(409).json({ message: 'Mail is already being sent' })
+        : res.status(404).json({ message: 'Mail not found' });
+    }
+
+    res.json(mail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.restoreMail = async (req, res, next) => {
+  try {
+    const { folder, label } = req.body;
+
+    const mail = await Mail.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      folder: 'trash',
+    });
+
     if (!mail) {
       return res.status(404).json({ message: 'Mail not found in trash' });
     }
 
+    // Only plain mailbox folders can be picked; anything else could put mail
+    // back in front of the send queue
+    if (folder && (folder === 'trash' || !MOVE_TARGETS.includes(folder))) {
+      return res.status(400).json({
+        message: `folder must be one of: ${MOVE_TARGETS.filter(target => target !== 'trash').join(', ')}`,
+      });
+    }
+
+    // Explicit folder wins, otherwise go back to where the mail was trashed from
+    mail.folder = folder || mail.previousFolder || 'inbox';
+    mail.previousFolder = null;
+
+    // Restoring overdue scheduled mail or a trashed outbox send must not
+    // fire it immediately
+    if (
+      mail.folder === 'outbox' ||
+      (mail.folder === 'scheduled' && (!mail.scheduledAt || mail.scheduledAt <= new Date()))
+    ) {
+      mail.folder = 'drafts';
+      mail.isScheduled = false;
+    } else if (mail.folder === 'scheduled') {
+      mail.delivery.status = 'pending';
+      mail.delivery.attempts = 0;
+      mail.delivery.nextAttemptAt = null;
+    }
+
+    if (label) {
+      const labelDoc = mongoose.Types.ObjectId.isValid(label)
+        ? await Label.findOne({ _id: label, owner: req.user._id }).select('_id').lean()
+        : null;
+      if (!labelDoc) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+      mail.labels.addToSet(labelDoc._id);
+    }
+
+    await mail.save();
+
     res.json(mail);
   } catch (error) {
     next(error);
   }
 };
 
+// Makes sure every id belongs to one of the user's labels
+const findOwnedLabelIds = async (ownerId, ids = []) => {
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+  const labels = await Label.find({ _id: { $in: unique }, owner: ownerId }).select('_id').lean();
+  return labels.length === unique.length ? labels.map(l => l._id) : null;
+};
+
+exports.moveMails = async (req, res, next) => {
+  try {
+    const { ids, folder, label } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+
+    if (!folder && !label) {
+      return res.status(400).json({ message: 'folder or label is required' });
+    }
+
+    if (folder && !MOVE_TARGETS.includes(folder)) {
+      return res
+        .status(400)
+        .json({ message: `folder must be one of: ${MOVE_TARGETS.join(', ')}` });
+    }
+
+    const filter = {
+      _id: { $in: ids },
+      owner: req.user._id,
+      // Scheduled, outbox and failed sends have their own lifecycle; drafts
+      // are trashed via deleteMail
+      folder: { $nin: ['scheduled', 'drafts', 'outbox', 'failed'] },
+    };
+
+    let labelIds = [];
+    if (label) {
+      labelIds = await findOwnedLabelIds(req.user._id, [label]);
+      if (!labelIds) {
+        return res.status(404).json({ message: 'Label not found' });
+      }
+      await Mail.updateMany(filter, { $addToSet: { labels: { $each: labelIds } } });
+    }
+
+    let result;
+    if (folder === 'trash') {
+      result = await Mail.updateMany(filter, TRASH_UPDATE);
+    } else if (folder) {
+      result = await Mail.updateMany(filter, { $set: { folder, previousFolder: null } });
+    } else {
+      // Moving to a label takes the mail out of the inbox, like a folder move
+      result = await Mail.updateMany({ ...filter, folder: 'inbox' }, { $set: { folder: 'archive' } });
+    }
+
+    res.json({
+      message: 'Mail moved',
+      folder: folder || null,
+      label: label || null,
+      modifiedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateMailLabels = async (req, res, next) => {
+  try {
+    const { ids, add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+
+    if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+      return res.status(400).json({ message: 'add or remove must list at least one label' });
+    }
+
+    const [addIds, removeIds] = await Promise.all([
+      findOwnedLabelIds(req.user._id, add),
+      findOwnedLabelIds(req.user._id, remove),
+    ]);
+
+    if (!addIds || !removeIds) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    const filter = { _id: { $in: ids }, owner: req.user._id };
+
+    // $addToSet and $pull can't touch the same path in one update
+    if (addIds.length > 0) {
+      await Mail.updateMany(filter, { $addToSet: { labels: { $each: addIds } } });
+    }
+    if (removeIds.length > 0) {
+      await Mail.updateMany(filter, { $pull: { labels: { $in: removeIds } } });
+    }
+
+    const mails = await Mail.find(filter).select('_id labels').lean();
+
+    res.json({
+      message: 'Labels updated',
+      mails,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.emptyTrash = async (req, res, next) => {
   try {
     const result = await Mail.deleteMany({
@@ -298,7 +1027,8 @@ exports.emptyTrash = async (req, res, next) => {
 };
 
 // Process scheduled emails (to be called by cron job)
-// This endpoint doesn't require auth - it's for cron jobs
+// This endpoint doesn't require auth - it's for cron jobs. The in-process
+// processor (services/scheduledMailProcessor.js) does the same work on a timer.
 exports.processScheduledEmails = async (req, res, next) => {
   try {
     // Optional: Add a secret token check for security
@@ -307,78 +1037,7 @@ exports.processScheduledEmails = async (req, res, next) => {
       return res.status(401).json({ message: 'Unauthorized' });
     }
 
-    const now = new Date();
-    // Find all scheduled emails that are due (anything at or before "now")
-    // Using only an upper bound prevents us from missing emails if the worker
-    // was offline longer than 5 minutes.
-    const scheduledMails = await Mail.find({
-      isScheduled: true,
-      scheduledAt: { $lte: now },
-      folder: 'scheduled',
-    }).populate('owner', 'email');
-
-    const results = {
-      processed: 0,
-      failed: 0,
-      errors: [],
-    };
-
-    for (const mail of scheduledMails) {
-      try {
-        // Send the email
-        await deliverMail({
-          to: mail.to,
-          cc: mail.cc || undefined,
-          bcc: mail.bcc || undefined,
-          subject: mail.subject,
-          text: mail.body,
-          html: mail.htmlBody || mail.body,
-          userFrom: mail.from,
-          attachments: mail.attachments || [],
-        });
-
-        // Update mail status to sent
-        mail.folder = 'sent';
-        mail.isScheduled = false;
-        mail.scheduledAt = null;
-        await mail.save();
-
-        // Create inbox entry for recipient
-        const recipient = await User.findOne({ email: mail.to.toLowerCase() });
-        if (recipient) {
-          const recipients = [mail.to];
-          if (mail.cc) recipients.push(...mail.cc.split(',').map(e => e.trim()));
-          if (mail.bcc) recipients.push(...mail.bcc.split(',').map(e => e.trim()));
-
-          for (const recipientEmail of recipients) {
-            const rec = await User.findOne({ email: recipientEmail.toLowerCase() });
-            if (rec) {
-                await Mail.create({
-                  owner: rec._id,
-                  from: mail.from,
-                  to: recipientEmail,
-                  cc: recipientEmail === mail.to ? mail.cc : undefined,
-                  bcc: undefined,
-                  subject: mail.subject,
-                  body: mail.body,
-                  htmlBody: mail.htmlBody,
-                  attachments: mail.attachments || [],
-                  folder: 'inbox',
-                });
-            }
-          }
-        }
-
-        results.processed++;
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          mailId: mail._id,
-          error: error.message,
-        });
-        console.error(`[MAIL] Failed to send scheduled email ${mail._id}:`, error);
-      }
-    }
+    const results = await processDueMail();
 
     res.json({
       message: 'Scheduled emails processed',
@@ -0,0 +1,193 @@
+const Mail = require('../models/Mail');
+const {
+  normalizeRecurrence,
+  nextOccurrences,
+  nextOccurrence,
+  MAX_PREVIEW,
+} = require('../utils/recurrence');
+
+const RECURRENCE_STATUSES = ['active', 'paused', 'ended'];
+const DEFAULT_PREVIEW_COUNT = 5;
+
+const previewCount = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || DEFAULT_PREVIEW_COUNT, 1), MAX_PREVIEW);
+
+// Series can't change state while the processor holds the template
+const notClaimed = { 'delivery.status': { $ne: 'processing' } };
+
+exports.getRecurringSeries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = {
+      owner: req.user._id,
+      'recurrence.cron': { $ne: null },
+    };
+
+    if (status) {
+      if (!RECURRENCE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      query['recurrence.status'] = status;
+    }
+
+    const series = await Mail.find(query)
+      .select('-htmlBody')
+      .sort({ scheduledAt: 1 })
+      .lean();
+
+    res.json(series);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Next run times for a rule that hasn't been saved yet
+exports.previewRecurrence = async (req, res, next) => {
+  try {
+    const { recurrence: input, startAt } = req.body;
+    const anchor = startAt ? new Date(startAt) : new Date();
+
+    if (Number.isNaN(anchor.getTime())) {
+      return res.status(400).json({ message: 'startAt is not a valid date' });
+    }
+
+    const { recurrence, error } = normalizeRecurrence(input, anchor);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({
+      cron: recurrence.cron,
+      timezone: recurrence.timezone,
+      nextRuns: nextOccurrences(recurrence, {
+        after: new Date(Math.max(Date.now(), anchor.getTime() - 1)),
+        count: previewCount(req.body.count),
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.previewSeries = async (req, res, next) => {
+  try {
+    const mail = await Mail.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      'recurrence.cron': { $ne: null },
+    }).lean();
+
+    if (!mail) {
+      return res.status(404).json({ message: 'Recurring mail not found' });
+    }
+
+    if (mail.recurrence.status !== 'active') {
+      return res.json({ status: mail.recurrence.status, nextRuns: [] });
+    }
+
+    // The pending run is already on the template; the rest follow from it
+    const count = previewCount(req.query.count);
+    const following = nextOccurrences(
+      { ...mail.recurrence, occurrences: (mail.recurrence.occurrences || 0) + 1 },
+      { after: mail.scheduledAt, count: count - 1 }
+    );
+
+    res.json({
+      status: mail.recurrence.status,
+      nextRuns: [mail.scheduledAt, ...following].slice(0, count),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.pauseSeries = async (req, res, next) => {
+  try {
+    const mail = await Mail.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        owner: req.user._id,
+        'recurrence.status': 'active',
+        ...notClaimed,
+      },
+      { $set: { 'recurrence.status': 'paused' } },
+      { new: true }
+    );
+
+    if (!mail) {
+      return res
+        .status(409)
+        .json({ message: 'Series not found, not active, or currently being sent' });
+    }
+
+    res.json(mail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resumeSeries = async (req, res, next) => {
+  try {
+    const mail = await Mail.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      'recurrence.status': 'paused',
+    });
+
+    if (!mail) {
+      return res.status(404).json({ message: 'Paused series not found' });
+    }
+
+    // Runs missed while paused are skipped
+    const next = nextOccurrence(mail.recurrence.toObject(), new Date());
+    if (!next) {
+      mail.recurrence.status = 'ended';
+      mail.isScheduled = false;
+      await mail.save();
+      return res.status(409).json({ message: 'Series has no future occurrences and was ended', mail });
+    }
+
+    mail.recurrence.status = 'active';
+    mail.scheduledAt = next;
+    mail.isScheduled = true;
+    mail.delivery.status = 'pending';
+    mail.delivery.attempts = 0;
+    mail.delivery.nextAttemptAt = null;
+    await mail.save();
+
+    res.json(mail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.endSeries = async (req, res, next) => {
+  try {
+    const mail = await Mail.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        owner: req.user._id,
+        'recurrence.status': { $in: ['active', 'paused'] },
+        ...notClaimed,
+      },
+      {
+        $set: {
+          'recurrence.status': 'ended',
+          isScheduled: false,
+          'delivery.status': null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!mail) {
+      return res
+        .status(409)
+        .json({ message: 'Series not found, already ended, or currently being sent' });
+    }
+
+    res.json(mail);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Rule = require('../models/Rule');
+const Mail = require('../models/Mail');
+const Label = require('../models/Label');
+const {
+  evaluateRules,
+  applyActions,
+  loadRules,
+  validateRule,
+  verifiedForwardTargets,
+} = require('../services/rulesEngine');
+const { parseBoolean } = require('../utils/parseBoolean');
+
+const RULE_FIELDS_EDITABLE = ['name', 'enabled', 'order', 'match', 'conditions', 'actions', 'stopProcessing'];
+const DEFAULT_RUN_LIMIT = 500;
+const MAX_RUN_LIMIT = 5000;
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  for (const key of RULE_FIELDS_EDITABLE) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// Label actions must point at one of the user's own labels
+const checkActionLabels = async (ownerId, actions = []) => {
+  const labelIds = actions.filter(action => action.type === 'label').map(action => String(action.label));
+  if (labelIds.length === 0) return null;
+
+  if (labelIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid label in actions';
+  }
+
+  const count = await Label.countDocuments({ _id: { $in: [...new Set(labelIds)] }, owner: ownerId });
+  return count === new Set(labelIds).size ? null : 'Label in actions not found';
+};
+
+// Forward actions must point at one of the user's verified forwarding addresses
+const checkForwardTargets = async (ownerId, actions = []) => {
+  const targets = actions.filter(action => action.type === 'forward').map(action => action.to);
+  if (targets.length === 0) return null;
+
+  const verified = await verifiedForwardTargets(ownerId, targets);
+  const unverified = targets.filter(to => !verified.includes(String(to).trim().toLowerCase()));
+  return unverified.length === 0
+    ? null
+    : `Forward actions can only target verified forwarding addresses (/api/forwarding): ${unverified.join(', ')}`;
+};
+
+exports.getRules = async (req, res, next) => {
+  try {
+    const rules = await Rule.find({ owner: req.user._id }).sort({ order: 1, createdAt: 1 }).lean();
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createRule = async (req, res, next) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    const errors = validateRule(fields);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule', errors });
+    }
+
+    const labelError = await checkActionLabels(req.user._id, fields.actions);
+    if (labelError) {
+      return res.status(400).json({ message: labelError });
+    }
+
+    const forwardError = await checkForwardTargets(req.user._id, fields.actions);
+    if (forwardError) {
+      return res.status(400).json({ message: forwardError });
+    }
+
+    const rule = await Rule.create({ ...fields, owner: req.user._id });
+    res.status(201).json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateRule = async (req, res, next) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    const errors = validateRule(fields, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule', errors });
+    }
+
+    const labelError = await checkActionLabels(req.user._id, fields.actions);
+    if (labelError) {
+      return res.status(400).json({ message: labelError });
+    }
+
+    const forwardError = await checkForwardTargets(req.user._id, fields.actions);
+    if (forwardError) {
+      return res.status(400).json({ message: forwardError });
+    }
+
+    const rule = await Rule.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      fields,
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shared by run and preview: matches rules against existing mail in a folder.
+// Forward actions are skipped on bulk runs unless explicitly requested, so a
+// new rule doesn't re-send a whole mailbox.
+const runOnExistingMail = async (req, res, { dryRun }) => {
+  const { ruleIds, rule: inlineRule, folder = 'inbox' } = req.body;
+  const includeForward = req.body.includeForward === undefined ? false : parseBoolean(req.body.includeForward);
+  if (includeForward === undefined) {
+    return res.status(400).json({ message: 'includeForward must be a boolean' });
+  }
+  const limit = Math.min(
+    Math.max(parseInt(req.body.limit, 10) || DEFAULT_RUN_LIMIT, 1),
+    MAX_RUN_LIMIT
+  );
+
+  let rules;
+  if (inlineRule) {
+    // Unsaved rule, previewed or run once
+    const errors = validateRule(inlineRule);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid rule', errors });
+    }
+    const labelError = await checkActionLabels(req.user._id, inlineRule.actions);
+    if (labelError) {
+      return res.status(400).json({ message: labelError });
+    }
+    const forwardError = await checkForwardTargets(req.user._id, inlineRule.actions);
+    if (forwardError) {
+      return res.status(400).json({ message: forwardError });
+    }
+    rules = [{ ...inlineRule, name: inlineRule.name || 'Preview' }];
+  } else {
+    if (ruleIds !== undefined && !Array.isArray(ruleIds)) {
+      return res.status(400).json({ message: 'ruleIds must be an array' });
+    }
+    rules = await loadRules(req.user._id, ruleIds);
+  }
+
+  if (rules.length === 0) {
+    return res.status(400).json({ message: 'No enabled rules to run' });
+  }
+
+  const mails = await Mail.find({ owner: req.user._id, folder })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  const matches = [];
+  for (const mail of mails) {
+    const matched = evaluateRules(mail, rules);
+    if (matched.length === 0) continue;
+
+    const actions = matched
+      .flatMap(match => match.actions)
+      .filter(action => includeForward || action.type !== 'forward');
+
+    if (!dryRun && actions.length > 0) {
+      await applyActions(mail, actions);
+    }
+
+    matches.push({
+      mailId: mail._id,
+      from: mail.from,
+      subject: mail.subject,
+      rules: matched.map(match => match.rule.name),
+      actions,
+    });
+  }
+
+  return res.json({
+    dryRun,
+    scanned: mails.length,
+    matched: matches.length,
+    matches,
+  });
+};
+
+exports.runRules = async (req, res, next) => {
+  try {
+    const dryRun = req.body.dryRun === undefined ? false : parseBoolean(req.body.dryRun);
+    if (dryRun === undefined) {
+      return res.status(400).json({ message: 'dryRun must be a boolean' });
+    }
+    await runOnExistingMail(req, res, { dryRun });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.previewRules = async (req, res, next) => {
+  try {
+    await runOnExistingMail(req, res, { dryRun: true });
+  } catch (error) {
+    next(error);
+  }
+};
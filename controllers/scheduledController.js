@@ -0,0 +1,230 @@
+const Mail = require('../models/Mail');
+const { processMailNow } = require('../services/scheduledMailProcessor');
+const { expandGroupReferences } = require('../services/groupExpansion');
+const { resolveIdentity, fromAddress } = require('../services/identities');
+const { parseRecipientFields } = require('../utils/addressParser');
+
+const EDITABLE_FIELDS = ['to', 'cc', 'bcc', 'subject', 'body', 'htmlBody', 'attachments'];
+
+// Fresh queue state for mail that was edited or re-queued by the user
+const RESET_DELIVERY = {
+  'delivery.status': 'pending',
+  'delivery.attempts': 0,
+  'delivery.nextAttemptAt': null,
+  'delivery.lastError': null,
+  'delivery.failedAt': null,
+};
+
+// Only scheduled mail the processor hasn't claimed may change. Failed mail
+// is included for records that predate the failed folder.
+const unclaimedScheduled = (req) => ({
+  _id: req.params.id,
+  owner: req.user._id,
+  folder: 'scheduled',
+  isScheduled: true,
+  'delivery.status': { $in: [null, 'pending', 'failed'] },
+});
+
+// Explains why the unclaimedScheduled filter didn't match
+const respondNotEditable = async (req, res) => {
+  const mail = await Mail.findOne({ _id: req.params.id, owner: req.user._id })
+    .select('folder isScheduled delivery.status')
+    .lean();
+
+  if (!mail) {
+    return res.status(404).json({ message: 'Mail not found' });
+  }
+  if (mail.folder !== 'scheduled' || !mail.isScheduled) {
+    return res.status(409).json({ message: 'Mail is not scheduled' });
+  }
+  return res.status(409).json({ message: 'Mail is already being sent' });
+};
+
+exports.updateScheduledMail = async (req, res, next) => {
+  try {
+    const update = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    const parsed = parseRecipientFields(req.body);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid recipients', errors: parsed.errors });
+    }
+    Object.assign(update, parsed.recipients);
+
+    if (update.to !== undefined && update.to.length === 0) {
+      return res.status(400).json({ message: 'Recipient email is required' });
+    }
+
+    // Group references stay as written but must name existing groups
+    const expanded = await expandGroupReferences(req.user._id, parsed.recipients);
+    if (expanded.error) {
+      return res.status(400).json({ message: expanded.error });
+    }
+
+    // null switches back to the user's default identity
+    if (req.body.identityId !== undefined) {
+      const { identity, error } = await resolveIdentity(req.user._id, req.body.identityId);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      update.identity = identity ? identity._id : null;
+      update.from = fromAddress(identity, req.user.email);
+    }
+
+    if (update.attachments !== undefined && !Array.isArray(update.attachments)) {
+      return res.status(400).json({ message: 'attachments must be an array' });
+    }
+
+    if (req.body.scheduledAt !== undefined) {
+      const scheduledAt = new Date(req.body.scheduledAt);
+      if (Number.isNaN(scheduledAt.getTime())) {
+        return res.status(400).json({ message: 'scheduledAt is not a valid date' });
+      }
+      if (scheduledAt <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: 'scheduledAt must be in the future; use send-now to send immediately' });
+      }
+      update.scheduledAt = scheduledAt;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const mail = await Mail.findOneAndUpdate(
+      unclaimedScheduled(req),
+      { $set: { ...update, ...RESET_DELIVERY } },
+      { new: true, runValidators: true }
+    );
+
+    if (!mail) {
+      return respondNotEditable(req, res);
+    }
+
+    res.json(mail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelScheduledMail = async (req, res, next) => {
+  try {
+    const mail = await Mail.findOneAndUpdate(
+      unclaimedScheduled(req),
+      {
+        $set: {
+          folder: 'drafts',
+          isScheduled: false,
+          scheduledAt: null,
+          'delivery.status': null,
+          'delivery.attempts': 0,
+          'delivery.nextAttemptAt': null,
+          // A cancelled series becomes a plain draft
+          'recurrence.cron': null,
+          'recurrence.rrule': null,
+          'recurrence.status': null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!mail) {
+      return respondNotEditable(req, res);
+    }
+
+    res.json({
+      ...mail.toObject(),
+      message: 'Scheduled email cancelled and moved to drafts',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.sendScheduledNow = async (req, res, next) => {
+  try {
+    const queued = await Mail.findOneAndUpdate(
+      unclaimedScheduled(req),
+      { $set: { scheduledAt: new Date(), ...RESET_DELIVERY } },
+      { new: true }
+    );
+
+    if (!queued) {
+      return respondNotEditable(req, res);
+    }
+
+    const outcome = await processMailNow(queued._id);
+    const mail = await Mail.findById(queued._id).lean();
+
+    if (!outcome) {
+      // A background worker got to it first; it will be sent by that worker
+      return res.status(202).json({ ...mail, message: 'Email is being sent' });
+    }
+
+    if (!outcome.sent) {
+      return res.status(502).json({
+        message: 'Failed to send email via provider',
+        details: outcome.error,
+        mail,
+      });
+    }
+
+    res.json({ ...mail, message: 'Email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Re-queues a message that exhausted its retries. It goes back through the
+// outbox with a fresh attempt budget; the old error stays visible until the
+// next attempt records its own outcome.
+exports.retryFailedMail = async (req, res, next) => {
+  try {
+    const queued = await Mail.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id, folder: 'failed' },
+      {
+        $set: {
+          folder: 'outbox',
+          scheduledAt: new Date(),
+          'delivery.status': 'pending',
+          'delivery.attempts': 0,
+          'delivery.nextAttemptAt': null,
+          'delivery.queuedAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!queued) {
+      const exists = await Mail.exists({ _id: req.params.id, owner: req.user._id });
+      if (!exists) {
+        return res.status(404).json({ message: 'Mail not found' });
+      }
+      return res.status(409).json({ message: 'Only failed mail can be retried' });
+    }
+
+    const outcome = await processMailNow(queued._id);
+    const mail = await Mail.findById(queued._id).lean();
+
+    if (!outcome) {
+      return res.status(202).json({ ...mail, message: 'Email is being sent' });
+    }
+
+    if (!outcome.sent) {
+      return res.status(502).json({
+        message: outcome.exhausted
+          ? 'Failed to send email via provider'
+          : 'Failed to send email via provider; it will be retried automatically',
+        details: outcome.error,
+        mail,
+      });
+    }
+
+    res.json({ ...mail, message: 'Email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
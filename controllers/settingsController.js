@@ -0,0 +1,142 @@
+const User = require('../models/User');
+const VacationReply = require('../models/VacationReply');
+const { isActive } = require('../services/vacationResponder');
+const { parseBoolean } = require('../utils/parseBoolean');
+
+const MIN_UNDO_SECONDS = 5;
+const MAX_UNDO_SECONDS = 30;
+const MAX_VACATION_BODY_LENGTH = 10000;
+
+const toSettings = (user) => ({
+  undoSendSeconds: user.undoSendSeconds || 0,
+});
+
+exports.getSettings = async (req, res, next) => {
+  try {
+    res.json(toSettings(req.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const update = {};
+
+    if (req.body.undoSendSeconds !== undefined) {
+      const seconds = Number(req.body.undoSendSeconds);
+      const valid =
+        Number.isInteger(seconds) &&
+        (seconds === 0 || (seconds >= MIN_UNDO_SECONDS && seconds <= MAX_UNDO_SECONDS));
+      if (!valid) {
+        return res.status(400).json({
+          message: `undoSendSeconds must be 0 (off) or between ${MIN_UNDO_SECONDS} and ${MAX_UNDO_SECONDS}`,
+        });
+      }
+      update.undoSendSeconds = seconds;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, {
+      new: true,
+      runValidators: true,
+    });
+
+    res.json(toSettings(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const toVacation = (user) => {
+  const vacation = user.vacation || {};
+  return {
+    enabled: Boolean(vacation.enabled),
+    startAt: vacation.startAt || null,
+    endAt: vacation.endAt || null,
+    subject: vacation.subject || '',
+    body: vacation.body || '',
+    htmlBody: vacation.htmlBody || '',
+    onlyContacts: Boolean(vacation.onlyContacts),
+    onlyInternal: Boolean(vacation.onlyInternal),
+    replyIntervalDays: vacation.replyIntervalDays || 7,
+    active: isActive(vacation),
+  };
+};
+
+exports.getVacation = async (req, res, next) => {
+  try {
+    res.json(toVacation(req.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Partial update of the auto-responder. Any change starts a fresh period,
+// so senders answered under the old settings get a reply again.
+exports.updateVacation = async (req, res, next) => {
+  try {
+    const vacation = toVacation(req.user);
+    delete vacation.active;
+
+    for (const key of ['enabled', 'onlyContacts', 'onlyInternal']) {
+      if (req.body[key] === undefined) continue;
+      const value = parseBoolean(req.body[key]);
+      if (value === undefined) {
+        return res.status(400).json({ message: `${key} must be true or false` });
+      }
+      vacation[key] = value;
+    }
+
+    for (const key of ['startAt', 'endAt']) {
+      if (req.body[key] === undefined) continue;
+      if (req.body[key] === null || req.body[key] === '') {
+        vacation[key] = null;
+        continue;
+      }
+      const date = new Date(req.body[key]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ message: `${key} is not a valid date` });
+      }
+      vacation[key] = date;
+    }
+    if (vacation.startAt && vacation.endAt && vacation.endAt <= vacation.startAt) {
+      return res.status(400).json({ message: 'endAt must be after startAt' });
+    }
+
+    for (const key of ['subject', 'body', 'htmlBody']) {
+      if (req.body[key] === undefined) continue;
+      const value = req.body[key] === null ? '' : String(req.body[key]);
+      if (value.length > MAX_VACATION_BODY_LENGTH) {
+        return res.status(400).json({ message: `${key} must be at most ${MAX_VACATION_BODY_LENGTH} characters` });
+      }
+      vacation[key] = value;
+    }
+
+    if (req.body.replyIntervalDays !== undefined) {
+      const days = Number(req.body.replyIntervalDays);
+      if (!Number.isInteger(days) || days < 1 || days > 30) {
+        return res.status(400).json({ message: 'replyIntervalDays must be a whole number between 1 and 30' });
+      }
+      vacation.replyIntervalDays = days;
+    }
+
+    if (vacation.enabled && !vacation.body.trim() && !vacation.htmlBody.trim()) {
+      return res.status(400).json({ message: 'A message body is required to turn on the auto-responder' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { vacation } },
+      { new: true, runValidators: true }
+    );
+    await VacationReply.deleteMany({ owner: req.user._id });
+
+    res.json(toVacation(user));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Suppression = require('../models/Suppression');
+const { parseAddressList } = require('../utils/addressParser');
+const { addSuppression } = require('../services/suppressionList');
+const { escapeRegex } = require('../utils/mailSearch');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// The same handlers serve a user's own list (owner = user id) and the
+// admin-only global list (owner = null)
+const listEntries = async (req, res, owner) => {
+  const filter = { owner };
+
+  if (req.query.reason) {
+    if (!Suppression.SUPPRESSION_REASONS.includes(req.query.reason)) {
+      return res.status(400).json({ message: 'Invalid reason' });
+    }
+    filter.reason = req.query.reason;
+  }
+  if (req.query.q) {
+    filter.email = { $regex: `^${escapeRegex(String(req.query.q).toLowerCase())}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+  const [entries, total] = await Promise.all([
+    Suppression.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Suppression.countDocuments(filter),
+  ]);
+
+  res.json({ entries, total, limit, skip });
+};
+
+const addEntry = async (req, res, owner) => {
+  const { addresses, errors } = parseAddressList(req.body.email);
+  if (errors.length > 0 || addresses.length !== 1) {
+    return res.status(400).json({ message: 'A single valid email is required', errors });
+  }
+  const { email } = addresses[0];
+
+  const existing = await Suppression.findOne({ owner, email }).lean();
+  if (existing) {
+    return res.status(409).json({ message: 'Address is already suppressed', entry: existing });
+  }
+
+  const entry = await addSuppression({
+    owner,
+    email,
+    reason: 'manual',
+    note: req.body.note || '',
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json(entry);
+};
+
+const removeEntry = async (req, res, owner) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'Suppression entry not found' });
+  }
+
+  const entry = await Suppression.findOneAndDelete({ _id: req.params.id, owner });
+  if (!entry) {
+    return res.status(404).json({ message: 'Suppression entry not found' });
+  }
+
+  res.json({ message: `${entry.email} removed from the suppression list` });
+};
+
+exports.getSuppressions = async (req, res, next) => {
+  try {
+    await listEntries(req, res, req.user._id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createSuppression = async (req, res, next) => {
+  try {
+    await addEntry(req, res, req.user._id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteSuppression = async (req, res, next) => {
+  try {
+    await removeEntry(req, res, req.user._id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getGlobalSuppressions = async (req, res, next) => {
+  try {
+    await listEntries(req, res, null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createGlobalSuppression = async (req, res, next) => {
+  try {
+    await addEntry(req, res, null);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteGlobalSuppression = async (req, res, next) => {
+  try {
+    await removeEntry(req, res, null);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const MergeBatch = require('../models/MergeBatch');
+const { isMailerConfigured } = require('../config/mailer');
+const { parseTemplate, templateVariables } = require('../utils/templateEngine');
+const { parseCsv } = require('../utils/csv');
+const { resolveIdentity, fromAddress } = require('../services/identities');
+const { renderForRow, createMergeBatch, getMergeProgress } = require('../services/mailMerge');
+
+const CONTENT_FIELDS = ['subject', 'body', 'htmlBody'];
+const MAX_MERGE_ROWS = 1000;
+const DEFAULT_PER_MINUTE = 20;
+// The send queue handles up to SCHEDULER_BATCH_SIZE (default 50) mail per tick
+const MAX_PER_MINUTE = 50;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Validates the editable fields present in `body`. Returns { fields } or { error }.
+const buildTemplateFields = (body, { creating }) => {
+  const fields = {};
+
+  if (body.name !== undefined || creating) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Template name is required' };
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description || '');
+  }
+
+  for (const key of CONTENT_FIELDS) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null ? '' : String(body[key]);
+    const parsed = parseTemplate(value);
+    if (parsed.error) return { error: `${key}: ${parsed.error}` };
+    fields[key] = value;
+  }
+
+  if (body.defaults !== undefined) {
+    const defaults = body.defaults || {};
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+      return { error: 'defaults must be an object of placeholder values' };
+    }
+    fields.defaults = Object.fromEntries(
+      Object.entries(defaults).map(([key, value]) => [key, value === null ? '' : String(value)])
+    );
+  }
+
+  return { fields };
+};
+
+const handleDuplicate = (error, res) => {
+  if (error && error.code === 11000) {
+    res.status(409).json({ message: 'A template with this name already exists' });
+    return true;
+  }
+  return false;
+};
+
+const findOwnTemplate = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? Template.findOne({ _id: req.params.id, owner: req.user._id })
+    : null;
+
+// Rows come as JSON { rows: [...] }, JSON { csv: '...' } or a raw text/csv body
+const readMergeRows = (req) => {
+  if (typeof req.body === 'string') {
+    return parseCsv(req.body);
+  }
+  if (req.body && typeof req.body.csv === 'string') {
+    return parseCsv(req.body.csv);
+  }
+  if (req.body && Array.isArray(req.body.rows)) {
+    if (req.body.rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return { error: 'rows must be an array of objects' };
+    }
+    return { rows: req.body.rows };
+  }
+  return { error: 'Expected rows (JSON array) or csv' };
+};
+
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const templates = await Template.find({ owner: req.user._id }).sort({ name: 1 }).lean();
+    res.json(templates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getTemplateById = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { fields, error } = buildTemplateFields(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const template = new Template({ ...fields, owner: req.user._id });
+    template.variables = templateVariables(CONTENT_FIELDS.map((key) => template[key]).join('\n'));
+    await template.save();
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const { fields, error } = buildTemplateFields(req.body, { creating: false });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    template.set(fields);
+    template.variables = templateVariables(CONTENT_FIELDS.map((key) => template[key]).join('\n'));
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    if (handleDuplicate(error, res)) return;
+    next(error);
+  }
+};
+
+// Queued merge mail keeps its rendered content; batches keep the template name
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const template = await Template.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Renders the template with { data } so the client can show a sample
+exports.previewTemplate = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const data = req.body && req.body.data;
+    if (data !== undefined && (typeof data !== 'object' || Array.isArray(data) || data === null)) {
+      return res.status(400).json({ message: 'data must be an object of placeholder values' });
+    }
+
+    const { content, error } = renderForRow(template, data || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Queues one message per row. Options (JSON body or query string for CSV
+// uploads): emailField / nameField (column names, default "email" / "name"),
+// perMinute (throttle), startAt and identityId.
+exports.mergeTemplate = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!isMailerConfigured) {
+      return res
+        .status(500)
+        .json({ message: 'Outgoing email service is not configured on the server' });
+    }
+
+    const { rows, error } = readMergeRows(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No rows to merge' });
+    }
+    if (rows.length > MAX_MERGE_ROWS) {
+      return res.status(400).json({ message: `A merge can have at most ${MAX_MERGE_ROWS} rows` });
+    }
+
+    const options = typeof req.body === 'object' && req.body ? { ...req.query, ...req.body } : req.query;
+
+    const perMinute = options.perMinute === undefined ? DEFAULT_PER_MINUTE : Number(options.perMinute);
+    if (!Number.isInteger(perMinute) || perMinute < 1 || perMinute > MAX_PER_MINUTE) {
+      return res.status(400).json({ message: `perMinute must be between 1 and ${MAX_PER_MINUTE}` });
+    }
+
+    let startAt = new Date();
+    if (options.startAt !== undefined) {
+      startAt = new Date(options.startAt);
+      if (Number.isNaN(startAt.getTime())) {
+        return res.status(400).json({ message: 'startAt is not a valid date' });
+      }
+      // A past start just means "now"
+      if (startAt < new Date()) startAt = new Date();
+    }
+
+    const { identity, error: identityError } = await resolveIdentity(req.user._id, options.identityId);
+    if (identityError) {
+      return res.status(400).json({ message: identityError });
+    }
+
+    const batch = await createMergeBatch({
+      ownerId: req.user._id,
+      sender: {
+        from: fromAddress(identity, req.user.email),
+        identity: identity ? identity._id : null,
+      },
+      template,
+      rows,
+      emailField: String(options.emailField || 'email'),
+      nameField: String(options.nameField || 'name'),
+      perMinute,
+      startAt,
+    });
+
+    const progress = await getMergeProgress(batch.toObject());
+    res.status(202).json({ batchId: batch._id, ...progress });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getMergeBatches = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const batches = await MergeBatch.find({ owner: req.user._id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json({ batches, limit, skip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getMergeBatch = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(404).json({ message: 'Merge batch not found' });
+    }
+
+    const batch = await MergeBatch.findOne({ _id: req.params.batchId, owner: req.user._id }).lean();
+    if (!batch) {
+      return res.status(404).json({ message: 'Merge batch not found' });
+    }
+
+    res.json({
+      batchId: batch._id,
+      template: batch.template,
+      templateName: batch.templateName,
+      perMinute: batch.perMinute,
+      startAt: batch.startAt,
+      createdAt: batch.createdAt,
+      ...(await getMergeProgress(batch)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,167 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { generateSecret, verifyTotp } = require('../utils/totp');
+const {
+  setupUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+} = require('../services/twoFactor');
+
+// Setup and disabling need the password again, so a stolen access token alone
+// can't change the second factor
+const checkPassword = async (userId, password) => {
+  if (!password) return false;
+  const user = await User.findById(userId).select('password');
+  if (!user) return false;
+  return bcrypt.compare(password, user.password);
+};
+
+exports.getTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('twoFactor.enabled twoFactor.enabledAt twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: Boolean(user.twoFactor.enabled),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? remainingRecoveryCodes(user) : 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Step 1 of enrollment: hands out a new secret. Nothing changes for login
+// until a code from it is confirmed.
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!(await checkPassword(req.user._id, req.body.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      secret,
+      otpauthUri: setupUri(secret, req.user.email),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Step 2: a code from the app proves it was set up. Returns the recovery
+// codes; they are only ever shown here.
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select('twoFactor.enabled twoFactor.pendingSecret');
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start the setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, entries } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: null,
+            lastUsedStep: step,
+            recoveryCodes: entries,
+            failedAttempts: 0,
+            lockedUntil: null,
+            enabledAt: new Date(),
+          },
+        },
+      }
+    );
+
+    console.log('[AUTH] Two-factor authentication enabled', { userId: user._id });
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ message: 'password and code are required' });
+    }
+    if (!(await checkPassword(req.user._id, password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const verified = await verifySecondFactor(req.user._id, code);
+    if (verified.status) {
+      return res.status(verified.status).json({ message: verified.message });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: false,
+            secret: null,
+            pendingSecret: null,
+            lastUsedStep: null,
+            recoveryCodes: [],
+            failedAttempts: 0,
+            lockedUntil: null,
+            enabledAt: null,
+          },
+        },
+      }
+    );
+
+    console.log('[AUTH] Two-factor authentication disabled', { userId: req.user._id });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replaces all recovery codes, used or not
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const verified = await verifySecondFactor(req.user._id, req.body.code);
+    if (verified.status) {
+      return res.status(verified.status).json({ message: verified.message });
+    }
+
+    const { codes, entries } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.recoveryCodes': entries } });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    next(error);
+  }
+};
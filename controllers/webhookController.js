@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { normalizeMailjetEvent, recordDeliveryEvents } = require('../services/deliveryEvents');
+
+// Mailjet does not sign its callbacks, so the endpoint URL carries a shared
+// secret: either as basic auth (https://mailjet:<secret>@host/api/webhooks/mailjet)
+// or as ?secret=<secret>. Set MAILJET_WEBHOOK_SECRET to enable the endpoint.
+const secretsMatch = (provided, expected) => {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const providedSecret = (req) => {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return req.headers['x-webhook-secret'] || req.query.secret || null;
+};
+
+exports.handleMailjetWebhook = async (req, res, next) => {
+  try {
+    const expected = process.env.MAILJET_WEBHOOK_SECRET;
+    if (!expected) {
+      console.warn('[WEBHOOK] Mailjet event received but MAILJET_WEBHOOK_SECRET is not set');
+      return res.status(503).json({ message: 'Webhook is not configured' });
+    }
+
+    const secret = providedSecret(req);
+    if (!secret || !secretsMatch(secret, expected)) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    // Mailjet posts a single event, or an array when grouping is enabled
+    const payload = Array.isArray(req.body) ? req.body : [req.body];
+    if (payload.length === 0 || payload.some((item) => !item || typeof item !== 'object')) {
+      return res.status(400).json({ message: 'Expected an event object or an array of events' });
+    }
+
+    const events = payload.map(normalizeMailjetEvent).filter(Boolean);
+    const result = await recordDeliveryEvents('mailjet', events);
+
+    console.log('[WEBHOOK] Mailjet events processed', {
+      received: payload.length,
+      recorded: result.recorded,
+      duplicates: result.duplicates,
+      unmatched: result.unmatched,
+    });
+
+    // Always 200 for authenticated calls so Mailjet doesn't keep retrying
+    // events we chose to ignore
+    res.json({
+      received: payload.length,
+      ignored: payload.length - events.length,
+      recorded: result.recorded,
+      duplicates: result.duplicates,
+      unmatched: result.unmatched,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,10 @@
+// Runs after authMiddleware; only lets admins through
+const adminMiddleware = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+
+  next();
+};
+
+module.exports = adminMiddleware;
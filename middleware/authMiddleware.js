@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/sessions');
 
 const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -12,6 +13,12 @@ const authMiddleware = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens from before sessions existed carry no sid and are no longer accepted
+    if (!decoded.sid || !(await findActiveSession(decoded.id, decoded.sid))) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -19,6 +26,7 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = String(decoded.sid);
     next();
   } catch (error) {
     return res.status(401).json({ message: 'Invalid token' });
@@ -0,0 +1,10 @@
+// Runs after authMiddleware; only lets accounts with a verified email send mail
+const verifiedEmailMiddleware = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({ message: 'Verify your email address before sending mail' });
+  }
+
+  next();
+};
+
+module.exports = verifiedEmailMiddleware;
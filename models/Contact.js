@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const contactEmailSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // How often the owner has sent to this address (drives autocomplete ranking)
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const contactSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: '',
+    },
+    // Lowercased name for indexed prefix lookups
+    nameKey: {
+      type: String,
+      default: '',
+    },
+    emails: {
+      type: [contactEmailSchema],
+      validate: {
+        validator: (emails) => emails.length > 0,
+        message: 'A contact needs at least one email',
+      },
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: '',
+    },
+    notes: {
+      type: String,
+      maxlength: 5000,
+      default: '',
+    },
+    favorite: {
+      type: Boolean,
+      default: false,
+    },
+    // Created automatically from sent mail rather than by the user
+    frequent: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+contactSchema.pre('validate', function setNameKey(next) {
+  this.nameKey = (this.name || '').toLowerCase();
+  next();
+});
+
+// An address belongs to at most one of the owner's contacts
+contactSchema.index({ owner: 1, 'emails.address': 1 }, { unique: true });
+contactSchema.index({ owner: 1, nameKey: 1 });
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Group names are referenced in to/cc/bcc as "@name", so they are kept to
+// characters that can't be mistaken for part of an address list
+const GROUP_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+const contactGroupSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 64,
+      match: GROUP_NAME_PATTERN,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    // Contacts are mailed at their first (primary) address
+    contacts: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Contact',
+        },
+      ],
+      default: [],
+    },
+    // Members that aren't in the address book
+    emails: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+contactGroupSchema.index({ owner: 1, name: 1 }, { unique: true });
+contactGroupSchema.index({ owner: 1, contacts: 1 });
+
+module.exports = mongoose.model('ContactGroup', contactGroupSchema);
+module.exports.GROUP_NAME_PATTERN = GROUP_NAME_PATTERN;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['delivered', 'bounced', 'blocked', 'spam', 'opened', 'clicked'];
+
+// One provider callback about one recipient of a sent Mail
+const deliveryEventSchema = new mongoose.Schema(
+  {
+    mail: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mail',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerMessageId: {
+      type: String,
+      required: true,
+    },
+    recipient: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: true,
+    },
+    // Only set for bounces
+    bounceType: {
+      type: String,
+      enum: ['hard', 'soft', null],
+      default: null,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    // Clicked link, opener user agent, complaint source, ...
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Providers retry callbacks; the key lets a replayed event be ignored
+    eventKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deliveryEventSchema.index({ eventKey: 1 }, { unique: true });
+deliveryEventSchema.index({ mail: 1, occurredAt: 1 });
+
+module.exports = mongoose.model('DeliveryEvent', deliveryEventSchema);
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const FORWARDING_STATUSES = ['pending', 'verified'];
+
+// Address a user's incoming mail may be forwarded to. It only receives mail
+// once someone with access to it has followed the verification link.
+const forwardingAddressSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: FORWARDING_STATUSES,
+      default: 'pending',
+    },
+    // SHA-256 of the link token (see utils/tokens.js); cleared once used
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    tokenExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    verificationSentAt: {
+      type: Date,
+      default: null,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+forwardingAddressSchema.index({ owner: 1, email: 1 }, { unique: true });
+forwardingAddressSchema.index({ tokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('ForwardingAddress', forwardingAddressSchema);
+module.exports.FORWARDING_STATUSES = FORWARDING_STATUSES;
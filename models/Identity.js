@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const SENDER_STATUSES = ['none', 'pending', 'active'];
+
+// A "send as" profile: display name, address, reply-to and signature.
+// The address only becomes the real From once it is verified as a sender
+// with the mail provider; until then mail goes out from the app's sender
+// under the identity's display name with the address as Reply-To.
+const identitySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    replyTo: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: '',
+    },
+    signatureHtml: {
+      type: String,
+      default: '',
+    },
+    signatureText: {
+      type: String,
+      default: '',
+    },
+    // Used when a send or draft doesn't name an identity
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Provider sender registration (Mailjet sender id and its state)
+    sender: {
+      provider: {
+        type: String,
+        default: null,
+      },
+      senderId: {
+        type: String,
+        default: null,
+      },
+      status: {
+        type: String,
+        enum: SENDER_STATUSES,
+        default: 'none',
+      },
+      requestedAt: {
+        type: Date,
+        default: null,
+      },
+      verifiedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+identitySchema.index({ owner: 1, email: 1 }, { unique: true });
+identitySchema.index({ owner: 1, isDefault: 1 });
+
+module.exports = mongoose.model('Identity', identitySchema);
+module.exports.SENDER_STATUSES = SENDER_STATUSES;
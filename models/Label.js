@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    color: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: '#9e9e9e',
+      match: /^#[0-9a-f]{6}$/,
+    },
+    // Labels nest like folders; null means top level
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Label',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+labelSchema.index({ owner: 1, parent: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Label', labelSchema);
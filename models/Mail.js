@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { AUTO_SUBMITTED_VALUES } = require('../utils/autoSubmitted');
+
+// One to/cc/bcc entry (see utils/addressParser.js). Drafts and scheduled
+// mail may also hold contact group references ({ group }) that are expanded
+// into addresses when the mail is sent.
+const recipientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    group: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  },
+  { _id: false }
+);
 
 const mailSchema = new mongoose.Schema(
   {
@@ -13,23 +38,41 @@ const mailSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Sender identity for mail the user writes; its signature is added
+    // when the mail is sent, so drafts and scheduled mail hold only the body
+    identity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Identity',
+      default: null,
+    },
     to: {
-      type: String,
-      trim: true,
-      lowercase: true,
-      default: '',
+      type: [recipientSchema],
+      default: [],
     },
     cc: {
-      type: String,
-      trim: true,
-      lowercase: true,
-      default: '',
+      type: [recipientSchema],
+      default: [],
     },
     bcc: {
-      type: String,
-      trim: true,
-      lowercase: true,
-      default: '',
+      type: [recipientSchema],
+      default: [],
+    },
+    // Contact groups ("@name") used in to/cc/bcc and the addresses each one
+    // expanded to when the mail was sent (or last saved, for drafts)
+    recipientGroups: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          name: String,
+          group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ContactGroup',
+          },
+          members: [String],
+        },
+      ],
+      default: undefined,
     },
     subject: {
       type: String,
@@ -64,16 +107,230 @@ const mailSchema = new mongoose.Schema(
       ],
       default: [],
     },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    isStarred: {
+      type: Boolean,
+      default: false,
+    },
+    isImportant: {
+      type: Boolean,
+      default: false,
+    },
     folder: {
       type: String,
-      enum: ['inbox', 'sent', 'trash', 'drafts', 'scheduled'],
+      enum: ['inbox', 'sent', 'trash', 'drafts', 'scheduled', 'archive', 'outbox', 'failed'],
       default: 'inbox',
     },
+    // Set on auto-replies and bulk mail the app sends, and on inbound mail
+    // recognised as such, so automatic responders never answer it
+    autoSubmitted: {
+      type: String,
+      enum: AUTO_SUBMITTED_VALUES,
+      default: null,
+    },
+    // Folder the mail was in before it was trashed, so a restore puts it back
+    previousFolder: {
+      type: String,
+      default: null,
+    },
+    labels: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Label',
+        },
+      ],
+      default: [],
+    },
+    // Send queue state and delivery record (see services/scheduledMailProcessor.js)
+    delivery: {
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'failed'],
+        default: null,
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      nextAttemptAt: {
+        type: Date,
+        default: null,
+      },
+      leaseOwner: {
+        type: String,
+        default: null,
+      },
+      leaseExpiresAt: {
+        type: Date,
+        default: null,
+      },
+      lastAttemptAt: {
+        type: Date,
+        default: null,
+      },
+      lastError: {
+        type: String,
+        default: null,
+      },
+      // Transport that accepted the message and the id it assigned
+      provider: {
+        type: String,
+        default: null,
+      },
+      providerMessageId: {
+        type: String,
+        default: null,
+      },
+      // Every id the provider assigned (Mailjet uses one per recipient);
+      // webhook events are matched against these
+      providerMessageIds: {
+        type: [String],
+        default: undefined,
+      },
+      // Recipients dropped because they are on the suppression list
+      suppressedRecipients: {
+        type: [
+          {
+            _id: false,
+            email: String,
+            field: String,
+            reason: String,
+            scope: String,
+          },
+        ],
+        default: undefined,
+      },
+      queuedAt: {
+        type: Date,
+        default: null,
+      },
+      sentAt: {
+        type: Date,
+        default: null,
+      },
+      failedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Recurring series (see utils/recurrence.js). Set on the scheduled mail
+    // that acts as the series template; every run produces a separate sent copy.
+    recurrence: {
+      cron: {
+        type: String,
+        default: null,
+      },
+      rrule: {
+        type: String,
+        default: null,
+      },
+      timezone: {
+        type: String,
+        default: null,
+      },
+      endsAt: {
+        type: Date,
+        default: null,
+      },
+      maxOccurrences: {
+        type: Number,
+        default: null,
+      },
+      occurrences: {
+        type: Number,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ['active', 'paused', 'ended'],
+        default: null,
+      },
+      lastSentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Sent copies of a recurring series point back at the series template
+    recurrenceSeries: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mail',
+      default: null,
+    },
+    // Mail merge this message was generated by, and its row in the input
+    mergeBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MergeBatch',
+      default: undefined,
+    },
+    mergeRow: {
+      type: Number,
+      default: undefined,
+    },
+    // RFC 5322 threading headers, shared by the sent copy and every inbox copy
+    messageId: {
+      type: String,
+      default: null,
+    },
+    inReplyTo: {
+      type: String,
+      default: null,
+    },
+    references: {
+      type: [String],
+      default: [],
+    },
+    threadId: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
   }
 );
 
+// Folder listings (see getMails) sort by date with _id as the cursor tiebreaker
+mailSchema.index({ owner: 1, folder: 1, createdAt: -1, _id: -1 });
+mailSchema.index({ owner: 1, folder: 1, scheduledAt: 1, _id: 1 });
+mailSchema.index({ owner: 1, threadId: 1 });
+// Threading lookups and inbound duplicate checks
+mailSchema.index({ owner: 1, messageId: 1 });
+// Claim query of the scheduled send queue
+mailSchema.index({ folder: 1, 'delivery.status': 1, scheduledAt: 1 });
+// Recurring series listing
+mailSchema.index({ owner: 1, 'recurrence.status': 1 });
+// Webhook event lookup
+mailSchema.index({ 'delivery.providerMessageIds': 1 }, { sparse: true });
+mailSchema.index({ owner: 1, labels: 1, createdAt: -1 });
+// Mail merge progress
+mailSchema.index({ mergeBatch: 1, folder: 1 }, { sparse: true });
+
+// Backs GET /api/mail/search (MongoDB allows a single text index per collection)
+mailSchema.index(
+  {
+    subject: 'text',
+    body: 'text',
+    from: 'text',
+    'to.email': 'text',
+    'to.name': 'text',
+    'attachments.fileName': 'text',
+  },
+  {
+    name: 'mail_text_search',
+    weights: {
+      subject: 5,
+      from: 3,
+      'to.email': 3,
+      'to.name': 3,
+      'attachments.fileName': 2,
+      body: 1,
+    },
+  }
+);
+
 module.exports = mongoose.model('Mail', mailSchema);
 
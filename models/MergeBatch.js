@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One mail merge run. Every valid row becomes a scheduled Mail pointing back
+// here (Mail.mergeBatch); send progress is counted from those mails, so this
+// document only records what happened when the batch was created.
+const mergeBatchSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      required: true,
+    },
+    // Template name at the time of the merge, for listings after it is deleted
+    templateName: {
+      type: String,
+      default: '',
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    queued: {
+      type: Number,
+      default: 0,
+    },
+    // Throttle: messages released per minute, starting at startAt
+    perMinute: {
+      type: Number,
+      required: true,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    // Rows rejected before queueing (bad address, template error)
+    rowErrors: {
+      type: [
+        {
+          _id: false,
+          row: Number,
+          email: String,
+          error: String,
+        },
+      ],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mergeBatchSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MergeBatch', mergeBatchSchema);
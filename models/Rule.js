@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const RULE_FIELDS = ['from', 'to', 'cc', 'subject', 'body', 'hasAttachment'];
+const RULE_OPERATORS = ['contains', 'regex', 'equals'];
+const RULE_ACTIONS = ['move', 'label', 'markRead', 'star', 'delete', 'forward'];
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      enum: RULE_FIELDS,
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: RULE_OPERATORS,
+      default: 'contains',
+    },
+    // Ignored for hasAttachment, which is matched as "true"/"false"
+    value: {
+      type: String,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: RULE_ACTIONS,
+      required: true,
+    },
+    // move
+    folder: {
+      type: String,
+      default: undefined,
+    },
+    // label
+    label: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Label',
+      default: undefined,
+    },
+    // forward
+    to: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+const ruleSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Lower runs first
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // "all" = every condition must match, "any" = at least one
+    match: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all',
+    },
+    conditions: {
+      type: [conditionSchema],
+      default: [],
+    },
+    actions: {
+      type: [actionSchema],
+      default: [],
+    },
+    // Skip the remaining rules once this one matched
+    stopProcessing: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ruleSchema.index({ owner: 1, enabled: 1, order: 1 });
+
+module.exports = mongoose.model('Rule', ruleSchema);
+module.exports.RULE_FIELDS = RULE_FIELDS;
+module.exports.RULE_OPERATORS = RULE_OPERATORS;
+module.exports.RULE_ACTIONS = RULE_ACTIONS;
+module.exports.conditionSchema = conditionSchema;
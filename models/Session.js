@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_changed'];
+
+// One signed-in device. Access tokens carry the session id and stop working
+// as soon as it is revoked; the refresh token is rotated on every use and
+// only the hash of the current one is kept (see services/sessions.js).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    // Short description derived from the user agent, e.g. "Chrome on macOS"
+    device: {
+      type: String,
+      default: 'Unknown device',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const SUPPRESSION_REASONS = ['hard_bounce', 'spam_complaint', 'manual'];
+
+// An address we must not send to. owner null means the entry is global and
+// applies to every user (e.g. a mailbox that no longer exists).
+const suppressionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    reason: {
+      type: String,
+      enum: SUPPRESSION_REASONS,
+      required: true,
+    },
+    // Sent mail whose bounce / complaint put the address here
+    sourceMail: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mail',
+      default: null,
+    },
+    // Provider error or the note given for a manual entry
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suppressionSchema.index({ owner: 1, email: 1 }, { unique: true });
+suppressionSchema.index({ email: 1 });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
+module.exports.SUPPRESSION_REASONS = SUPPRESSION_REASONS;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Reusable message with {{placeholders}} (see utils/templateEngine.js)
+const templateSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    subject: {
+      type: String,
+      default: '',
+    },
+    body: {
+      type: String,
+      default: '',
+    },
+    htmlBody: {
+      type: String,
+      default: '',
+    },
+    // Values used when a row leaves a placeholder empty, e.g. { firstName: 'there' }
+    defaults: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Placeholders found in subject and bodies, kept for the client's merge form
+    variables: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+templateSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { conditionSchema } = require('./Rule');
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,6 +20,162 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    // Set once the owner opened the link mailed at signup. Unverified accounts
+    // can't send mail and don't receive local deliveries.
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Pending one-time tokens; only their hashes are stored (utils/tokens.js)
+    emailVerification: {
+      tokenHash: { type: String, default: null, select: false },
+      expiresAt: { type: Date, default: null },
+      sentAt: { type: Date, default: null },
+    },
+    passwordReset: {
+      tokenHash: { type: String, default: null, select: false },
+      expiresAt: { type: Date, default: null },
+      sentAt: { type: Date, default: null },
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Optional TOTP second factor (see services/twoFactor.js)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Secret handed out by setup, active once a code from it is confirmed
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Time step of the last accepted code, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      // Single-use recovery codes, stored as hashes
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        default: [],
+        select: false,
+      },
+      // Consecutive wrong codes; too many lock the second step for a while
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: {
+        type: Date,
+        default: null,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Admins manage app-wide data such as the global suppression list
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    // Seconds a sent message stays in the outbox and can be undone (0 = off)
+    undoSendSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 30,
+    },
+    // Out-of-office auto-responder (see services/vacationResponder.js)
+    vacation: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Either end may be open
+      startAt: {
+        type: Date,
+        default: null,
+      },
+      endAt: {
+        type: Date,
+        default: null,
+      },
+      subject: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+      },
+      body: {
+        type: String,
+        default: '',
+      },
+      htmlBody: {
+        type: String,
+        default: '',
+      },
+      onlyContacts: {
+        type: Boolean,
+        default: false,
+      },
+      // Only reply to other users of this app
+      onlyInternal: {
+        type: Boolean,
+        default: false,
+      },
+      // Each sender gets at most one reply per this many days
+      replyIntervalDays: {
+        type: Number,
+        default: 7,
+        min: 1,
+        max: 30,
+      },
+    },
+    // Automatic forwarding of incoming mail to the user's verified
+    // ForwardingAddress entries (see services/autoForwarding.js)
+    forwarding: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // What happens to the inbox copy once it was forwarded
+      localCopy: {
+        type: String,
+        enum: ['keep', 'trash'],
+        default: 'keep',
+      },
+      // No conditions = forward everything
+      match: {
+        type: String,
+        enum: ['all', 'any'],
+        default: 'all',
+      },
+      conditions: {
+        type: [conditionSchema],
+        default: [],
+      },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// When a user's auto-responder last answered a sender. The unique index is
+// what makes "once per sender per N days" hold under concurrent deliveries.
+const vacationReplySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  sender: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  repliedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+vacationReplySchema.index({ owner: 1, sender: 1 }, { unique: true });
+
+module.exports = mongoose.model('VacationReply', vacationReplySchema);
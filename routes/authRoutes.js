@@ -1,10 +1,51 @@
 const express = require('express');
-const { register, login } = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  loginTwoFactor,
+} = require('../controllers/authController');
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+// Opened from the verification email, so it authenticates with its token
+router.get('/verify-email', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
-module.exports = router;
+router.post('/logout', authMiddleware, logout);
+router.post('/logout-all', authMiddleware, logoutAll);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions/:id', authMiddleware, revokeSession);
+router.post('/resend-verification', authMiddleware, resendVerification);
+router.post('/change-password', authMiddleware, changePassword);
+
+// Two-factor authentication
+router.get('/2fa', authMiddleware, getTwoFactor);
+router.post('/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/2fa/confirm', authMiddleware, confirmTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
 
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getContacts,
+  autocomplete,
+  getContactById,
+  createContact,
+  updateContact,
+  deleteContact,
+  importContacts,
+  exportContacts,
+} = require('../controllers/contactController');
+const {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+} = require('../controllers/contactGroupController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getContacts);
+router.get('/autocomplete', autocomplete);
+router.get('/export', exportContacts);
+// .vcf uploads can be posted as-is instead of wrapped in JSON
+router.post(
+  '/import',
+  express.text({ type: ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'], limit: '5mb' }),
+  importContacts
+);
+// Contact groups, referenced in to/cc/bcc as "@name"
+router.get('/groups', getGroups);
+router.get('/groups/:id', getGroupById);
+router.post('/groups', createGroup);
+router.patch('/groups/:id', updateGroup);
+router.delete('/groups/:id', deleteGroup);
+
+router.get('/:id', getContactById);
+router.post('/', createContact);
+router.patch('/:id', updateContact);
+router.delete('/:id', deleteContact);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedEmailMiddleware = require('../middleware/verifiedEmailMiddleware');
+const {
+  getForwarding,
+  updateForwarding,
+  addForwardingAddress,
+  resendVerification,
+  deleteForwardingAddress,
+  verifyForwardingAddress,
+} = require('../controllers/forwardingController');
+
+const router = express.Router();
+
+// Opened from the verification email, so it authenticates with its token
+router.get('/verify', verifyForwardingAddress);
+
+router.use(authMiddleware);
+
+router.get('/', getForwarding);
+router.patch('/', updateForwarding);
+router.post('/addresses', verifiedEmailMiddleware, addForwardingAddress);
+router.post('/addresses/:id/resend', verifiedEmailMiddleware, resendVerification);
+router.delete('/addresses/:id', deleteForwardingAddress);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedEmailMiddleware = require('../middleware/verifiedEmailMiddleware');
+const {
+  getIdentities,
+  createIdentity,
+  updateIdentity,
+  deleteIdentity,
+  requestSenderVerification,
+  checkSenderVerification,
+} = require('../controllers/identityController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getIdentities);
+router.post('/', createIdentity);
+router.patch('/:id', updateIdentity);
+router.delete('/:id', deleteIdentity);
+router.post('/:id/verify', verifiedEmailMiddleware, requestSenderVerification);
+router.get('/:id/verify', checkSenderVerification);
+
+module.exports = router;
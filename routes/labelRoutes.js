@@ -0,0 +1,19 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} = require('../controllers/labelController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getLabels);
+router.post('/', createLabel);
+router.patch('/:id', updateLabel);
+router.delete('/:id', deleteLabel);
+
+module.exports = router;
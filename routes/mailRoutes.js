@@ -1,5 +1,6 @@
 const express = require('express');
 const authMiddleware = require('../middleware/authMiddleware');
+const verifiedEmailMiddleware = require('../middleware/verifiedEmailMiddleware');
 const {
   getMails,
   getMailById,
@@ -10,7 +11,30 @@ const {
   generateFormalMessage,
   emptyTrash,
   processScheduledEmails,
+  replyMail,
+  replyAllMail,
+  forwardMail,
+  getThread,
+  updateFlags,
+  searchMails,
+  moveMails,
+  updateMailLabels,
+  undoSend,
 } = require('../controllers/mailController');
+const {
+  getRecurringSeries,
+  previewRecurrence,
+  previewSeries,
+  pauseSeries,
+  resumeSeries,
+  endSeries,
+} = require('../controllers/recurringController');
+const {
+  updateScheduledMail,
+  cancelScheduledMail,
+  sendScheduledNow,
+  retryFailedMail,
+} = require('../controllers/scheduledController');
 
 
 const router = express.Router();
@@ -21,10 +45,30 @@ router.post('/process-scheduled', processScheduledEmails);
 router.use(authMiddleware);
 
 router.get('/', getMails);
+router.get('/search', searchMails);
+router.get('/recurring', getRecurringSeries);
+router.post('/recurring/preview', previewRecurrence);
+router.get('/recurring/:id/preview', previewSeries);
+router.post('/recurring/:id/pause', pauseSeries);
+router.post('/recurring/:id/resume', resumeSeries);
+router.post('/recurring/:id/end', endSeries);
+router.patch('/scheduled/:id', updateScheduledMail);
+router.post('/scheduled/:id/cancel', cancelScheduledMail);
+router.post('/scheduled/:id/send-now', verifiedEmailMiddleware, sendScheduledNow);
+router.get('/threads/:threadId', getThread);
 router.get('/:id', getMailById);
-router.post('/send', sendMail);
+// Sending needs a verified account email
+router.post('/send', verifiedEmailMiddleware, sendMail);
+router.post('/:id/reply', verifiedEmailMiddleware, replyMail);
+router.post('/:id/reply-all', verifiedEmailMiddleware, replyAllMail);
+router.post('/:id/forward', verifiedEmailMiddleware, forwardMail);
+router.post('/:id/undo', undoSend);
+router.post('/:id/retry', verifiedEmailMiddleware, retryFailedMail);
 router.post('/draft', saveDraft);
 router.post('/generate-formal', generateFormalMessage);
+router.patch('/flags', updateFlags);
+router.patch('/move', moveMails);
+router.patch('/labels', updateMailLabels);
 router.patch('/delete/:id', deleteMail);
 router.patch('/restore/:id', restoreMail);
 router.delete('/trash', emptyTrash);
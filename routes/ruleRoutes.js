@@ -0,0 +1,23 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  runRules,
+  previewRules,
+} = require('../controllers/ruleController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getRules);
+router.post('/', createRule);
+router.post('/run', runRules);
+router.post('/preview', previewRules);
+router.patch('/:id', updateRule);
+router.delete('/:id', deleteRule);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getSettings,
+  updateSettings,
+  getVacation,
+  updateVacation,
+} = require('../controllers/settingsController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getSettings);
+router.patch('/', updateSettings);
+router.get('/vacation', getVacation);
+router.patch('/vacation', updateVacation);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const {
+  getSuppressions,
+  createSuppression,
+  deleteSuppression,
+  getGlobalSuppressions,
+  createGlobalSuppression,
+  deleteGlobalSuppression,
+} = require('../controllers/suppressionController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Global list (hard bounces and admin entries)
+router.get('/global', adminMiddleware, getGlobalSuppressions);
+router.post('/global', adminMiddleware, createGlobalSuppression);
+router.delete('/global/:id', adminMiddleware, deleteGlobalSuppression);
+
+// The signed-in user's own list
+router.get('/', getSuppressions);
+router.post('/', createSuppression);
+router.delete('/:id', deleteSuppression);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedEmailMiddleware = require('../middleware/verifiedEmailMiddleware');
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  mergeTemplate,
+  getMergeBatches,
+  getMergeBatch,
+} = require('../controllers/templateController');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', getTemplates);
+router.post('/', createTemplate);
+// Mail merge batches
+router.get('/batches', getMergeBatches);
+router.get('/batches/:batchId', getMergeBatch);
+router.get('/:id', getTemplateById);
+router.patch('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+router.post('/:id/preview', previewTemplate);
+// CSV files can be posted as-is, with options in the query string
+router.post(
+  '/:id/merge',
+  verifiedEmailMiddleware,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  mergeTemplate
+);
+
+module.exports = router;
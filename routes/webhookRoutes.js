@@ -0,0 +1,9 @@
+const express = require('express');
+const { handleMailjetWebhook } = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Provider callbacks authenticate with a shared secret instead of a user token
+router.post('/mailjet', handleMailjetWebhook);
+
+module.exports = router;
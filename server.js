@@ -2,46 +2,39 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
-const connectDB = require('./config/db');
-const { processScheduledEmails } = require('./controllers/mailController');
 
+// Load env before anything that reads it at require time (e.g. config/mailer)
 dotenv.config();
 
+const connectDB = require('./config/db');
+const { startScheduledMailProcessor } = require('./services/scheduledMailProcessor');
+const { startInboundSmtpServer } = require('./services/inboundSmtpServer');
+const { migrateLegacyRecipients } = require('./services/recipientMigration');
+const { verifyExistingAccounts } = require('./services/accountMigration');
+
 const authRoutes = require('./routes/authRoutes');
 const mailRoutes = require('./routes/mailRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const ruleRoutes = require('./routes/ruleRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const suppressionRoutes = require('./routes/suppressionRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const identityRoutes = require('./routes/identityRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const forwardingRoutes = require('./routes/forwardingRoutes');
 
 const app = express();
 
-// Database
-connectDB();
-
-// Helper to run scheduled email processing (used by both interval + immediate kick)
-const runScheduledProcessor = async () => {
-  try {
-    const req = { body: {}, headers: {} };
-    const res = {
-      json: (data) => {
-        if (data.processed > 0 || data.failed > 0) {
-          console.log('[CRON] Scheduled emails processed:', data);
-        }
-      },
-      status: () => res,
-    };
-    const next = () => {};
-    await processScheduledEmails(req, res, next);
-  } catch (error) {
-    console.error('[CRON] Error processing scheduled emails:', error);
-  }
-};
+// Database (then upgrade mail stored with plain-string recipients and
+// accounts from before signup verification)
+connectDB()
+  .then(migrateLegacyRecipients)
+  .then(verifyExistingAccounts);
 
-// Kick once on startup so demos don't wait for the first tick
-runScheduledProcessor();
-
-// Set up automatic scheduled email processing (runs every 60 seconds)
-setInterval(runScheduledProcessor, 60000);
-
-console.log('[CRON] Scheduled email processor started (runs every 60s)');
+// Scheduled email queue (safe to run on several instances)
+startScheduledMailProcessor();
 
 // Middleware
 app.use(cors());
@@ -56,6 +49,15 @@ app.get('/', (_req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/mail', mailRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/identities', identityRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/forwarding', forwardingRoutes);
 
 app.use((err, _req, res, _next) => {
   console.error(err);
@@ -71,3 +73,6 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Optional SMTP listener for mail sent from outside the dashboard
+startInboundSmtpServer();
+
@@ -0,0 +1,25 @@
+// One-off upgrade for accounts created before signup verification existed:
+// they have no emailVerified field and would otherwise lose sending and local
+// delivery. New accounts always store the field, so only the old ones match.
+// Safe to run on every start.
+
+const User = require('../models/User');
+
+const verifyExistingAccounts = async () => {
+  try {
+    const now = new Date();
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: now } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`[MIGRATION] Marked ${result.modifiedCount} existing account(s) as verified`);
+    }
+  } catch (error) {
+    console.error('[MIGRATION] Account verification migration failed:', error.message);
+  }
+};
+
+module.exports = {
+  verifyExistingAccounts,
+};
@@ -0,0 +1,69 @@
+// Automatic forwarding of incoming mail (User.forwarding). Runs for every
+// message delivered to a local inbox, after the filter rules, and sends a
+// forward with the original attachments to each verified ForwardingAddress.
+// Forwards are marked "Auto-Submitted: auto-generated", and auto-generated
+// mail is never forwarded, so two accounts forwarding to each other can't loop.
+
+const ForwardingAddress = require('../models/ForwardingAddress');
+const User = require('../models/User');
+const { deliverMail } = require('../config/mailer');
+const { buildForward } = require('../utils/mailContent');
+const { toAddresses } = require('../utils/addressParser');
+const { automationHeaders } = require('../utils/autoSubmitted');
+const { matchesRule } = require('./rulesEngine');
+
+const forwardIncomingMail = async (inboxMail) => {
+  // Rules may already have moved or deleted it
+  if (inboxMail.folder !== 'inbox' || inboxMail.autoSubmitted === 'auto-generated') return [];
+
+  const user = await User.findById(inboxMail.owner).select('email forwarding');
+  const settings = user && user.forwarding;
+  if (!settings || !settings.enabled) return [];
+  if (settings.conditions.length > 0 && !matchesRule(inboxMail, settings)) return [];
+
+  const targets = await ForwardingAddress.find({ owner: user._id, status: 'verified' }).select('email').lean();
+  // Never bounce a message straight back to whoever sent it
+  const [sender] = toAddresses(inboxMail.from);
+  const recipients = targets.map((target) => target.email).filter((email) => !sender || email !== sender.email);
+  if (recipients.length === 0) return [];
+
+  const forward = buildForward(inboxMail);
+  const forwarded = [];
+
+  for (const to of recipients) {
+    try {
+      await deliverMail({
+        to,
+        subject: forward.subject,
+        text: forward.body,
+        html: forward.htmlBody || forward.body,
+        userFrom: inboxMail.from,
+        attachments: forward.attachments,
+        headers: automationHeaders('auto-generated'),
+      });
+      forwarded.push(to);
+    } catch (error) {
+      console.error(`[FORWARD] Failed to forward mail ${inboxMail._id} to ${to}:`, error.message);
+    }
+  }
+
+  // The inbox copy is only discarded once it actually went somewhere
+  if (forwarded.length > 0 && settings.localCopy === 'trash') {
+    inboxMail.previousFolder = inboxMail.folder;
+    inboxMail.folder = 'trash';
+    await inboxMail.save();
+  }
+
+  if (forwarded.length > 0) {
+    console.log('[FORWARD] Forwarded incoming mail', {
+      mailId: inboxMail._id,
+      to: forwarded,
+      localCopy: settings.localCopy,
+    });
+  }
+  return forwarded;
+};
+
+module.exports = {
+  forwardIncomingMail,
+};
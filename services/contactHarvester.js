@@ -0,0 +1,44 @@
+// Keeps the address book in step with sent mail: every recipient bumps the
+// send counter used for autocomplete, and unknown addresses become
+// "frequent" contacts the user can later edit or delete.
+
+const Contact = require('../models/Contact');
+const { toAddresses } = require('../utils/addressParser');
+
+const bumpExisting = (ownerId, email, now) =>
+  Contact.updateOne(
+    { owner: ownerId, 'emails.address': email },
+    { $inc: { 'emails.$.sendCount': 1 }, $set: { 'emails.$.lastSentAt': now } }
+  );
+
+const harvestRecipients = async (ownerId, { to, cc, bcc }) => {
+  const now = new Date();
+  const seen = new Set();
+  const addresses = [...toAddresses(to), ...toAddresses(cc), ...toAddresses(bcc)];
+
+  for (const address of addresses) {
+    const { email } = address;
+    if (seen.has(email)) continue;
+    seen.add(email);
+
+    const { matchedCount } = await bumpExisting(ownerId, email, now);
+    if (matchedCount > 0) continue;
+
+    try {
+      await Contact.create({
+        owner: ownerId,
+        name: address.name || '',
+        emails: [{ address: email, sendCount: 1, lastSentAt: now }],
+        frequent: true,
+      });
+    } catch (error) {
+      // Created concurrently by another send; count this one against it
+      if (error.code !== 11000) throw error;
+      await bumpExisting(ownerId, email, now);
+    }
+  }
+};
+
+module.exports = {
+  harvestRecipients,
+};
@@ -0,0 +1,157 @@
+// Provider delivery events (webhooks) and the per-message delivery timeline
+// shown by getMailById.
+
+const Mail = require('../models/Mail');
+const DeliveryEvent = require('../models/DeliveryEvent');
+const { suppressFromDeliveryEvents } = require('./suppressionList');
+
+// Mailjet's "sent" means the recipient's server accepted the message, which
+// is what the timeline calls delivered. Unsubscribe events are not tracked.
+const MAILJET_EVENT_TYPES = {
+  sent: 'delivered',
+  bounce: 'bounced',
+  blocked: 'blocked',
+  spam: 'spam',
+  open: 'opened',
+  click: 'clicked',
+};
+
+// Converts one Mailjet callback into the provider-neutral shape used below.
+// Returns null for events we don't track or that can't be matched.
+const normalizeMailjetEvent = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const type = MAILJET_EVENT_TYPES[raw.event];
+  if (!type || !raw.MessageID) return null;
+
+  const occurredAt = raw.time ? new Date(Number(raw.time) * 1000) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) return null;
+
+  const details = {};
+  if (raw.url) details.url = raw.url;
+  if (raw.agent) details.userAgent = raw.agent;
+  if (raw.ip) details.ip = raw.ip;
+  if (raw.source) details.source = raw.source;
+  if (raw.comment) details.comment = raw.comment;
+  if (raw.error_related_to) details.errorRelatedTo = raw.error_related_to;
+
+  return {
+    providerMessageId: String(raw.MessageID),
+    recipient: raw.email ? String(raw.email).toLowerCase() : null,
+    type,
+    bounceType: type === 'bounced' ? (raw.hard_bounce ? 'hard' : 'soft') : null,
+    occurredAt,
+    error: raw.error || null,
+    details: Object.keys(details).length > 0 ? details : null,
+  };
+};
+
+const eventKey = (provider, event) =>
+  [
+    provider,
+    event.providerMessageId,
+    event.type,
+    event.recipient || '',
+    event.occurredAt.getTime(),
+    (event.details && event.details.url) || '',
+  ].join(':');
+
+// Stores normalized events against the Mail they belong to and feeds hard
+// bounces / complaints to the suppression list. Replayed events are ignored;
+// events for unknown messages are counted but not stored.
+const recordDeliveryEvents = async (provider, events) => {
+  const ids = [...new Set(events.map((event) => event.providerMessageId))];
+  const mails = ids.length > 0
+    ? await Mail.find({ 'delivery.providerMessageIds': { $in: ids } })
+      .select('_id owner delivery.providerMessageIds')
+      .lean()
+    : [];
+
+  const mailByProviderId = new Map();
+  for (const mail of mails) {
+    for (const id of mail.delivery.providerMessageIds) {
+      mailByProviderId.set(id, mail);
+    }
+  }
+
+  const docs = [];
+  let unmatched = 0;
+  for (const event of events) {
+    const mail = mailByProviderId.get(event.providerMessageId);
+    if (!mail) {
+      unmatched++;
+      continue;
+    }
+    docs.push({
+      ...event,
+      mail: mail._id,
+      owner: mail.owner,
+      provider,
+      eventKey: eventKey(provider, event),
+    });
+  }
+
+  let recorded = [];
+  if (docs.length > 0) {
+    try {
+      recorded = await DeliveryEvent.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Duplicate keys are replays; anything else is a real failure
+      const duplicatesOnly = error.writeErrors && error.writeErrors.every((writeError) => writeError.code === 11000);
+      if (!duplicatesOnly) throw error;
+      recorded = error.insertedDocs || [];
+    }
+  }
+
+  // Replays were skipped above, so each bounce / complaint is handled once
+  await suppressFromDeliveryEvents(recorded);
+
+  return {
+    received: events.length,
+    recorded: recorded.length,
+    duplicates: docs.length - recorded.length,
+    unmatched,
+    events: recorded,
+  };
+};
+
+// Chronological delivery history of one sent Mail: the queue milestones from
+// its delivery record followed by the provider events per recipient
+const getDeliveryTimeline = async (mail) => {
+  const delivery = mail.delivery || {};
+  const timeline = [];
+
+  if (delivery.queuedAt) {
+    timeline.push({ type: 'queued', at: delivery.queuedAt });
+  }
+  if (delivery.sentAt) {
+    timeline.push({ type: 'sent', at: delivery.sentAt, provider: delivery.provider });
+  }
+  if (delivery.failedAt) {
+    timeline.push({ type: 'failed', at: delivery.failedAt, error: delivery.lastError });
+  }
+
+  const events = await DeliveryEvent.find({ mail: mail._id })
+    .sort({ occurredAt: 1 })
+    .select('type recipient bounceType occurredAt error details')
+    .lean();
+
+  for (const event of events) {
+    timeline.push({
+      type: event.type,
+      at: event.occurredAt,
+      recipient: event.recipient,
+      ...(event.bounceType ? { bounceType: event.bounceType } : {}),
+      ...(event.error ? { error: event.error } : {}),
+      ...(event.details ? { details: event.details } : {}),
+    });
+  }
+
+  return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+module.exports = {
+  normalizeMailjetEvent,
+  recordDeliveryEvents,
+  getDeliveryTimeline,
+};
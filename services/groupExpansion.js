@@ -0,0 +1,83 @@
+// Expands contact group references ("@team-frontend") in to/cc/bcc into the
+// group's member addresses. Used when mail is sent (compose and the send
+// queue) and to validate drafts and scheduled mail.
+
+const ContactGroup = require('../models/ContactGroup');
+const { toRecipientEntries } = require('../utils/addressParser');
+
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+// Member addresses of a group loaded with its contacts populated
+const groupMembers = (group) => [
+  ...group.contacts
+    .filter((contact) => contact.emails.length > 0)
+    .map((contact) => ({ name: contact.name || '', email: contact.emails[0].address })),
+  ...group.emails.map((email) => ({ name: '', email })),
+];
+
+// Takes to/cc/bcc in any form the address parser accepts and returns
+// { to, cc, bcc, groups } as { name, email } arrays with every group
+// reference replaced by its members and each address kept once (the first
+// field it appears in wins, so someone in both "to" and a cc'd group stays
+// in "to"). `groups` records each reference and the addresses it expanded
+// to. Returns { error } for unknown groups.
+const expandGroupReferences = async (ownerId, recipients) => {
+  const entries = {};
+  for (const field of RECIPIENT_FIELDS) {
+    entries[field] = toRecipientEntries(recipients[field]);
+  }
+
+  const names = [
+    ...new Set(RECIPIENT_FIELDS.flatMap((field) => entries[field].filter((entry) => entry.group).map((entry) => entry.group))),
+  ];
+  const groups = names.length > 0
+    ? await ContactGroup.find({ owner: ownerId, name: { $in: names } })
+      .populate('contacts', 'name emails')
+      .lean()
+    : [];
+
+  const groupsByName = new Map(groups.map((group) => [group.name, group]));
+  const missing = names.filter((name) => !groupsByName.has(name));
+  if (missing.length > 0) {
+    return { error: `Unknown contact group: ${missing.map((name) => `@${name}`).join(', ')}` };
+  }
+
+  const seen = new Set();
+  const result = { groups: [] };
+
+  for (const field of RECIPIENT_FIELDS) {
+    const kept = [];
+    const keep = (address) => {
+      if (seen.has(address.email)) return;
+      seen.add(address.email);
+      kept.push(address);
+    };
+
+    for (const entry of entries[field]) {
+      if (!entry.group) {
+        keep(entry);
+        continue;
+      }
+
+      const group = groupsByName.get(entry.group);
+      const members = groupMembers(group);
+      members.forEach(keep);
+      if (!result.groups.some((recorded) => recorded.name === entry.group)) {
+        result.groups.push({
+          field,
+          name: entry.group,
+          group: group._id,
+          members: members.map((member) => member.email),
+        });
+      }
+    }
+
+    result[field] = kept;
+  }
+
+  return result;
+};
+
+module.exports = {
+  expandGroupReferences,
+};
@@ -0,0 +1,69 @@
+// Sender identities at send time: picking the identity for a send or draft,
+// and turning it into the From / Reply-To the mailer uses and the signature
+// appended to the rendered message.
+
+const mongoose = require('mongoose');
+const Identity = require('../models/Identity');
+const { mailTransport } = require('../config/mailer');
+const { appendSignature } = require('../utils/mailContent');
+
+// The identity named in a request (it must belong to the user), or the
+// user's default one. Returns { identity } (null when the user has none)
+// or { error }.
+const resolveIdentity = async (ownerId, identityId) => {
+  if (identityId === undefined || identityId === null || identityId === '') {
+    const identity = await Identity.findOne({ owner: ownerId, isDefault: true }).lean();
+    return { identity };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(identityId)) {
+    return { error: 'Identity not found' };
+  }
+  const identity = await Identity.findOne({ _id: identityId, owner: ownerId }).lean();
+  return identity ? { identity } : { error: 'Identity not found' };
+};
+
+// Only senders verified with the transport in use can be the real From
+const canSendAs = (identity) =>
+  Boolean(
+    identity &&
+      identity.sender &&
+      identity.sender.status === 'active' &&
+      identity.sender.provider === mailTransport
+  );
+
+// Address stored as the mail's `from`: the identity's own address once it
+// is a verified sender, otherwise the account address as before
+const fromAddress = (identity, accountEmail) => (canSendAs(identity) ? identity.email : accountEmail);
+
+// Options for deliverMail
+const senderOptions = (identity, accountEmail) => {
+  if (!identity) {
+    return { userFrom: accountEmail };
+  }
+  if (canSendAs(identity)) {
+    return { sender: identity.email, fromName: identity.name, replyTo: identity.replyTo || null };
+  }
+  return { fromName: identity.name, replyTo: identity.replyTo || identity.email };
+};
+
+// Body and HTML body as they go out, signature included
+const renderContent = (mail, identity) =>
+  identity
+    ? appendSignature({ body: mail.body || '', htmlBody: mail.htmlBody || '' }, identity)
+    : { body: mail.body || '', htmlBody: mail.htmlBody || '' };
+
+// Every address the user sends as, for telling their own messages apart
+const ownAddresses = async (user) => {
+  const identities = await Identity.find({ owner: user._id, 'sender.status': 'active' }).select('email').lean();
+  return new Set([user.email.toLowerCase(), ...identities.map((identity) => identity.email)]);
+};
+
+module.exports = {
+  resolveIdentity,
+  canSendAs,
+  fromAddress,
+  senderOptions,
+  renderContent,
+  ownAddresses,
+};
@@ -0,0 +1,278 @@
+// Optional SMTP listener that accepts external mail for registered users and
+// stores it in their inbox.
+// Env vars:
+// - INBOUND_SMTP_ENABLED   ("true" to start the listener)
+// - INBOUND_SMTP_PORT      (defaults to 2525; use 25 behind a proper MX record)
+// - INBOUND_SMTP_HOST      (bind address, defaults to 0.0.0.0)
+// - INBOUND_SMTP_DOMAINS   (optional comma separated list of accepted domains)
+// - INBOUND_SMTP_MAX_SIZE  (max message size in bytes, defaults to 25 MB with
+//                           Cloudinary for attachments, 7 MB without)
+// - INBOUND_SMTP_TLS_KEY / INBOUND_SMTP_TLS_CERT (optional PEM paths for STARTTLS)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const Mail = require('../models/Mail');
+const User = require('../models/User');
+const { processIncomingMail } = require('./localDelivery');
+const { toAddresses } = require('../utils/addressParser');
+const { classifyInbound } = require('../utils/autoSubmitted');
+
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024;
+// Without Cloudinary, attachments are stored inline as base64 (4/3 of their
+// size) next to the text and HTML bodies, in every recipient's Mail document.
+// 7 MB of raw message stays clear of MongoDB's 16 MB document limit.
+const INLINE_MAX_SIZE = 7 * 1024 * 1024;
+const MAX_STORED_BYTES = 15 * 1024 * 1024;
+// A recipient's own copies of a message they sent, which don't count as
+// having received it
+const OUTGOING_FOLDERS = ['sent', 'outbox', 'scheduled', 'drafts', 'failed'];
+
+const acceptedDomains = (process.env.INBOUND_SMTP_DOMAINS || '')
+  .split(',')
+  .map((domain) => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const smtpError = (message, responseCode) => {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+};
+
+// mailparser address objects (one per header line, groups flattened) to
+// the { name, email } lists stored on Mail
+const toRecipientList = (addressObject) => {
+  if (!addressObject) {
+    return [];
+  }
+  const headers = Array.isArray(addressObject) ? addressObject : [addressObject];
+  const flatten = (entries) =>
+    entries.flatMap((entry) => (entry.group ? flatten(entry.group) : [{ name: entry.name, email: entry.address }]));
+  return toAddresses(headers.flatMap((header) => flatten(header.value || [])));
+};
+
+const cloudinaryConfigured = () =>
+  Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_SECRET_KEY);
+
+// Upload to Cloudinary when configured (same folder as dashboard uploads),
+// otherwise keep the attachment inline as a data URL.
+const storeAttachment = async (attachment) => {
+  const fileType = attachment.contentType || 'application/octet-stream';
+  const dataUrl = `data:${fileType};base64,${attachment.content.toString('base64')}`;
+  const fileName = attachment.filename || 'attachment';
+
+  if (cloudinaryConfigured()) {
+    try {
+      const cloudinary = require('cloudinary').v2;
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_SECRET_KEY,
+      });
+      const result = await cloudinary.uploader.upload(dataUrl, {
+        resource_type: 'auto',
+        folder: 'mail-attachments',
+        use_filename: true,
+        unique_filename: true,
+      });
+      return {
+        url: result.secure_url,
+        fileName,
+        fileSize: result.bytes,
+        fileType,
+      };
+    } catch (error) {
+      console.error(`[SMTP-IN] Cloudinary upload failed for ${fileName}, storing inline:`, error.message);
+    }
+  }
+
+  return {
+    url: dataUrl,
+    fileName,
+    fileSize: attachment.size || attachment.content.length,
+    fileType,
+  };
+};
+
+// Join the recipient's existing thread when this is a reply to a message they have
+const resolveThreadId = async (ownerId, parentIds) => {
+  if (parentIds.length > 0) {
+    const parent = await Mail.findOne({
+      owner: ownerId,
+      messageId: { $in: parentIds },
+      threadId: { $ne: null },
+    }).select('threadId');
+    if (parent) {
+      return parent.threadId;
+    }
+  }
+  return crypto.randomUUID();
+};
+
+const findLocalRecipient = async (address) => {
+  const email = String(address || '').trim().toLowerCase();
+  const domain = email.split('@')[1];
+
+  if (!email || !domain) {
+    return null;
+  }
+  if (acceptedDomains.length > 0 && !acceptedDomains.includes(domain)) {
+    return null;
+  }
+
+  return User.findOne({ email, emailVerified: true });
+};
+
+// A retried DATA command (e.g. after a later recipient failed with 451) must
+// not give the recipients that were already stored a second copy
+const alreadyDelivered = (ownerId, messageId) =>
+  messageId
+    ? Mail.exists({ owner: ownerId, messageId, folder: { $nin: OUTGOING_FOLDERS } })
+    : false;
+
+const deliverParsedMessage = async (parsed, envelope) => {
+  const sender = parsed.from && parsed.from.value && parsed.from.value[0];
+  const from = (sender && sender.address) || envelope.mailFrom.address || 'unknown@unknown';
+  const to = toRecipientList(parsed.to);
+  const cc = toRecipientList(parsed.cc);
+  const references = [].concat(parsed.references || []);
+  const parentIds = [...new Set([parsed.inReplyTo, ...references].filter(Boolean))];
+  const autoSubmitted = classifyInbound(parsed.headers, envelope.mailFrom && envelope.mailFrom.address);
+
+  const attachments = [];
+  for (const attachment of parsed.attachments || []) {
+    if (attachment.contentDisposition === 'inline' && attachment.related) {
+      continue;
+    }
+    attachments.push(await storeAttachment(attachment));
+  }
+
+  // Refuse what can't be stored instead of failing every insert with a
+  // temporary error the sending server would keep retrying. If Cloudinary is
+  // set up, the inline fallback means an upload failed, which may clear up.
+  const storedBytes =
+    (parsed.text || '').length +
+    (parsed.html || '').length +
+    attachments.reduce((sum, attachment) => sum + attachment.url.length, 0);
+  if (storedBytes > MAX_STORED_BYTES) {
+    throw cloudinaryConfigured()
+      ? smtpError('Attachments could not be stored, try again later', 451)
+      : smtpError('Message too large to store', 552);
+  }
+
+  const deliveredTo = [];
+  for (const rcpt of envelope.rcptTo) {
+    const recipient = await findLocalRecipient(rcpt.address);
+    if (!recipient) {
+      continue;
+    }
+    if (await alreadyDelivered(recipient._id, parsed.messageId)) {
+      deliveredTo.push(rcpt.address);
+      console.log('[SMTP-IN] Skipping message already in recipient mailbox', {
+        recipientEmail: rcpt.address,
+        messageId: parsed.messageId,
+      });
+      continue;
+    }
+
+    const inboxMail = await Mail.create({
+      owner: recipient._id,
+      from,
+      // Bcc'd recipients aren't in the To header
+      to: to.length > 0 ? to : toAddresses(rcpt.address),
+      cc,
+      subject: parsed.subject || '',
+      body: parsed.text || '',
+      htmlBody: parsed.html || '',
+      attachments,
+      messageId: parsed.messageId || null,
+      inReplyTo: parsed.inReplyTo || null,
+      references,
+      threadId: await resolveThreadId(recipient._id, parentIds),
+      autoSubmitted,
+      folder: 'inbox',
+    });
+
+    deliveredTo.push(rcpt.address);
+    console.log('[SMTP-IN] Email saved to recipient inbox', {
+      recipientEmail: rcpt.address,
+      mailId: inboxMail._id,
+      from,
+      subject: inboxMail.subject,
+      attachmentsCount: attachments.length,
+    });
+
+    await processIncomingMail(inboxMail);
+  }
+
+  return deliveredTo;
+};
+
+const startInboundSmtpServer = () => {
+  if (process.env.INBOUND_SMTP_ENABLED !== 'true') {
+    return null;
+  }
+
+  const port = Number(process.env.INBOUND_SMTP_PORT) || 2525;
+  const host = process.env.INBOUND_SMTP_HOST || '0.0.0.0';
+  const maxSize =
+    Number(process.env.INBOUND_SMTP_MAX_SIZE) || (cloudinaryConfigured() ? DEFAULT_MAX_SIZE : INLINE_MAX_SIZE);
+  const hasTls = process.env.INBOUND_SMTP_TLS_KEY && process.env.INBOUND_SMTP_TLS_CERT;
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: hasTls ? ['AUTH'] : ['AUTH', 'STARTTLS'],
+    key: hasTls ? fs.readFileSync(process.env.INBOUND_SMTP_TLS_KEY) : undefined,
+    cert: hasTls ? fs.readFileSync(process.env.INBOUND_SMTP_TLS_CERT) : undefined,
+    size: maxSize,
+    logger: false,
+
+    onRcptTo(address, _session, callback) {
+      findLocalRecipient(address.address)
+        .then((recipient) => {
+          if (!recipient) {
+            return callback(smtpError(`No mailbox here by the name of ${address.address}`, 550));
+          }
+          callback();
+        })
+        .catch((error) => {
+          console.error('[SMTP-IN] Recipient lookup failed:', error);
+          callback(smtpError('Temporary lookup failure, try again later', 451));
+        });
+    },
+
+    onData(stream, session, callback) {
+      simpleParser(stream)
+        .then(async (parsed) => {
+          if (stream.sizeExceeded) {
+            return callback(smtpError('Message exceeds fixed maximum message size', 552));
+          }
+          const deliveredTo = await deliverParsedMessage(parsed, session.envelope);
+          console.log('[SMTP-IN] Message accepted', {
+            from: session.envelope.mailFrom && session.envelope.mailFrom.address,
+            deliveredTo,
+          });
+          callback();
+        })
+        .catch((error) => {
+          console.error('[SMTP-IN] Failed to store incoming message:', error);
+          callback(error.responseCode ? error : smtpError('Error storing message, try again later', 451));
+        });
+    },
+  });
+
+  server.on('error', (error) => {
+    console.error('[SMTP-IN] Server error:', error.message);
+  });
+
+  server.listen(port, host, () => {
+    console.log(`[SMTP-IN] Inbound SMTP server listening on ${host}:${port}`);
+  });
+
+  return server;
+};
+
+module.exports = {
+  startInboundSmtpServer,
+};
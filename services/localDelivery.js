@@ -0,0 +1,74 @@
+// Local inbox fan-out: every path that drops mail into a user's inbox goes
+// through here so post-delivery processing (filter rules, auto-forwarding,
+// the vacation auto-responder) runs exactly once.
+
+const Mail = require('../models/Mail');
+const User = require('../models/User');
+const { runRulesOnMail } = require('./rulesEngine');
+const { sendVacationReply } = require('./vacationResponder');
+const { forwardIncomingMail } = require('./autoForwarding');
+const { toAddresses } = require('../utils/addressParser');
+
+// Hook for a newly created inbox Mail
+const processIncomingMail = async (inboxMail) => {
+  await runRulesOnMail(inboxMail);
+
+  // Neither forwarding nor an auto-reply may fail the delivery itself
+  await forwardIncomingMail(inboxMail).catch((error) => {
+    console.error(`[FORWARD] Auto-forwarding failed for mail ${inboxMail._id}:`, error.message);
+  });
+  await sendVacationReply(inboxMail).catch((error) => {
+    console.error(`[VACATION] Auto-reply failed for mail ${inboxMail._id}:`, error.message);
+  });
+};
+
+// Create inbox entries for recipients (to, cc, bcc) that are registered users
+// with a verified address; anyone can sign up with an address they don't own.
+// Everyone sees the To and Cc lists, like a real mail header; Bcc is never copied.
+const deliverToLocalInboxes = async (mail) => {
+  const recipientEmails = [
+    ...new Set([...toAddresses(mail.to), ...toAddresses(mail.cc), ...toAddresses(mail.bcc)].map((address) => address.email)),
+  ];
+  const delivered = [];
+
+  for (const recipientEmail of recipientEmails) {
+    const recipient = await User.findOne({ email: recipientEmail, emailVerified: true });
+    if (recipient) {
+      const inboxMail = await Mail.create({
+        owner: recipient._id,
+        from: mail.from,
+        to: toAddresses(mail.to),
+        cc: toAddresses(mail.cc),
+        subject: mail.subject,
+        body: mail.body,
+        htmlBody: mail.htmlBody,
+        attachments: mail.attachments || [],
+        messageId: mail.messageId,
+        inReplyTo: mail.inReplyTo,
+        references: mail.references,
+        threadId: mail.threadId,
+        autoSubmitted: mail.autoSubmitted,
+        folder: 'inbox',
+      });
+      
+      console.log('[MAIL] Email saved to recipient inbox', {
+        recipientEmail: recipientEmail,
+        mailId: inboxMail._id,
+        bodyLength: (inboxMail.body || '').length,
+        htmlBodyLength: (inboxMail.htmlBody || '').length,
+        attachmentsCount: inboxMail.attachments ? inboxMail.attachments.length : 0,
+        subject: inboxMail.subject,
+      });
+
+      await processIncomingMail(inboxMail);
+      delivered.push(inboxMail);
+    }
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  deliverToLocalInboxes,
+  processIncomingMail,
+};
@@ -0,0 +1,166 @@
+// Mail merge: renders a template once per recipient row and hands each
+// message to the scheduled send queue. Throttling is done by spacing the
+// scheduledAt of consecutive messages, so the queue's retries, suppression
+// checks and failed folder all apply to merged mail unchanged.
+
+const crypto = require('crypto');
+const Mail = require('../models/Mail');
+const MergeBatch = require('../models/MergeBatch');
+const { generateMessageId } = require('../config/mailer');
+const { parseAddressList } = require('../utils/addressParser');
+const { renderTemplate } = require('../utils/templateEngine');
+
+const INSERT_CHUNK_SIZE = 200;
+
+const templateDefaults = (template) =>
+  template.defaults instanceof Map ? Object.fromEntries(template.defaults) : { ...(template.defaults || {}) };
+
+// Subject and bodies for one row. Returns { content } or { error }.
+const renderForRow = (template, row) => {
+  const defaults = templateDefaults(template);
+  const subject = renderTemplate(template.subject, row, { defaults });
+  const body = renderTemplate(template.body, row, { defaults });
+  const htmlBody = renderTemplate(template.htmlBody, row, { defaults, html: true });
+
+  const error = subject.error || body.error || htmlBody.error;
+  if (error) return { error };
+  return { content: { subject: subject.text.trim(), body: body.text, htmlBody: htmlBody.text } };
+};
+
+// The row's recipient: the email column, with the name column as display name
+const rowRecipient = (row, { emailField, nameField }) => {
+  const value = row[emailField];
+  if (value === undefined || String(value).trim() === '') {
+    return { error: `Missing "${emailField}"` };
+  }
+
+  const { addresses, groups, errors } = parseAddressList(String(value));
+  if (errors.length > 0) return { error: errors[0].message };
+  if (groups.length > 0 || addresses.length !== 1) return { error: 'Each row needs exactly one email address' };
+
+  const [address] = addresses;
+  return { recipient: { name: String(row[nameField] || address.name || '').trim(), email: address.email } };
+};
+
+// Creates the batch and queues one scheduled Mail per valid row. Rows are
+// numbered from 1 in the order given.
+const createMergeBatch = async ({ ownerId, sender, template, rows, emailField, nameField, perMinute, startAt }) => {
+  const batch = new MergeBatch({
+    owner: ownerId,
+    template: template._id,
+    templateName: template.name,
+    totalRows: rows.length,
+    perMinute,
+    startAt,
+  });
+
+  const spacingMs = 60 * 1000 / perMinute;
+  const queuedAt = new Date();
+  const mails = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const { recipient, error: recipientError } = rowRecipient(row, { emailField, nameField });
+    if (recipientError) {
+      batch.rowErrors.push({ row: rowNumber, email: String(row[emailField] || ''), error: recipientError });
+      return;
+    }
+
+    const { content, error } = renderForRow(template, row);
+    if (error) {
+      batch.rowErrors.push({ row: rowNumber, email: recipient.email, error });
+      return;
+    }
+
+    mails.push({
+      owner: ownerId,
+      ...sender,
+      to: [recipient],
+      cc: [],
+      bcc: [],
+      ...content,
+      messageId: generateMessageId(),
+      threadId: crypto.randomUUID(),
+      isRead: true,
+      folder: 'scheduled',
+      isScheduled: true,
+      scheduledAt: new Date(startAt.getTime() + Math.floor(mails.length * spacingMs)),
+      delivery: { status: 'pending', queuedAt },
+      mergeBatch: batch._id,
+      mergeRow: rowNumber,
+      // Sent with "Precedence: bulk" so auto-responders stay quiet
+      autoSubmitted: 'bulk',
+    });
+  });
+
+  batch.queued = mails.length;
+  await batch.save();
+
+  for (let i = 0; i < mails.length; i += INSERT_CHUNK_SIZE) {
+    await Mail.insertMany(mails.slice(i, i + INSERT_CHUNK_SIZE));
+  }
+
+  console.log('[MERGE] Batch queued', {
+    batchId: batch._id,
+    template: template.name,
+    rows: rows.length,
+    queued: batch.queued,
+    rejected: batch.rowErrors.length,
+    perMinute,
+  });
+
+  return batch;
+};
+
+// Counts sent / failed / pending mail of a batch and lists every failed row:
+// rows rejected up front plus messages the queue gave up on. Counting is by
+// delivery status, so sent mail moved to another folder still counts as sent;
+// mail the user cancelled (back to drafts) or deleted counts as cancelled.
+// Takes the batch as a plain object (lean).
+const getMergeProgress = async (batch) => {
+  const [counts, failedMails] = await Promise.all([
+    Mail.aggregate([
+      { $match: { mergeBatch: batch._id, owner: batch.owner } },
+      { $group: { _id: '$delivery.status', count: { $sum: 1 } } },
+    ]),
+    Mail.find({ mergeBatch: batch._id, owner: batch.owner, 'delivery.status': 'failed' })
+      .select('to mergeRow delivery.lastError delivery.failedAt')
+      .sort({ mergeRow: 1 })
+      .lean(),
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+  const sent = byStatus.sent || 0;
+  const failed = byStatus.failed || 0;
+  const pending = (byStatus.pending || 0) + (byStatus.processing || 0);
+
+  const failures = [
+    ...batch.rowErrors.map((entry) => ({ ...entry, stage: 'validation' })),
+    ...failedMails.map((mail) => ({
+      row: mail.mergeRow,
+      email: mail.to[0] && mail.to[0].email,
+      error: mail.delivery.lastError,
+      failedAt: mail.delivery.failedAt,
+      mailId: mail._id,
+      stage: 'delivery',
+    })),
+  ].sort((a, b) => a.row - b.row);
+
+  return {
+    totalRows: batch.totalRows,
+    queued: batch.queued,
+    sent,
+    failed,
+    pending,
+    cancelled: Math.max(batch.queued - sent - failed - pending, 0),
+    rejected: batch.rowErrors.length,
+    status: pending > 0 ? 'in_progress' : 'completed',
+    failures,
+  };
+};
+
+module.exports = {
+  renderForRow,
+  createMergeBatch,
+  getMergeProgress,
+};
@@ -0,0 +1,60 @@
+// One-off upgrade for mail stored before recipients became { name, email }
+// lists: string to/cc/bcc values ("a@x.com, Jane <b@y.com>") are parsed and
+// rewritten, and the old text index on the plain "to" field is replaced.
+// Safe to run on every start; it only touches documents that still need it.
+
+const Mail = require('../models/Mail');
+const { toRecipientEntries } = require('../utils/addressParser');
+
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+const TEXT_INDEX_NAME = 'mail_text_search';
+
+const convertLegacyMail = async () => {
+  const cursor = Mail.collection.find(
+    { $or: RECIPIENT_FIELDS.map((field) => ({ [field]: { $type: 'string' } })) },
+    { projection: { to: 1, cc: 1, bcc: 1 } }
+  );
+
+  let converted = 0;
+  for await (const doc of cursor) {
+    const update = {};
+    for (const field of RECIPIENT_FIELDS) {
+      if (typeof doc[field] === 'string') {
+        update[field] = toRecipientEntries(doc[field]);
+      }
+    }
+    await Mail.collection.updateOne({ _id: doc._id }, { $set: update });
+    converted++;
+  }
+  return converted;
+};
+
+const replaceLegacyTextIndex = async () => {
+  const indexes = await Mail.collection.indexes();
+  const legacy = indexes.find((index) => index.name === TEXT_INDEX_NAME && index.weights && index.weights.to);
+  if (!legacy) {
+    return false;
+  }
+  await Mail.collection.dropIndex(TEXT_INDEX_NAME);
+  await Mail.createIndexes();
+  return true;
+};
+
+const migrateLegacyRecipients = async () => {
+  try {
+    const converted = await convertLegacyMail();
+    if (converted > 0) {
+      console.log(`[MIGRATION] Converted recipients on ${converted} email(s)`);
+    }
+    if (await replaceLegacyTextIndex()) {
+      console.log('[MIGRATION] Rebuilt the mail search index for structured recipients');
+    }
+  } catch (error) {
+    // Not fatal: unconverted mail still renders, it just won't match searches
+    console.error('[MIGRATION] Recipient migration failed:', error.message);
+  }
+};
+
+module.exports = {
+  migrateLegacyRecipients,
+};
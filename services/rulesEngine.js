@@ -0,0 +1,258 @@
+// Evaluates a user's inbox filter rules (models/Rule.js) against a Mail and
+// applies the resulting actions.
+
+const Rule = require('../models/Rule');
+const ForwardingAddress = require('../models/ForwardingAddress');
+const { deliverMail } = require('../config/mailer');
+const { buildForward } = require('../utils/mailContent');
+const { formatAddressList, isValidEmail } = require('../utils/addressParser');
+const { patternError, testPattern } = require('../utils/safeRegex');
+const { automationHeaders } = require('../utils/autoSubmitted');
+
+const MOVE_FOLDERS = ['inbox', 'archive', 'trash'];
+const MAX_PATTERN_LENGTH = 200;
+
+const fieldValue = (mail, field) => {
+  if (field === 'hasAttachment') {
+    return String((mail.attachments || []).length > 0);
+  }
+  // Recipient lists are matched in their header form ("Jane <jane@x.com>, ...")
+  if (Array.isArray(mail[field])) {
+    return formatAddressList(mail[field]);
+  }
+  return String(mail[field] || '');
+};
+
+const matchesCondition = (mail, condition) => {
+  const actual = fieldValue(mail, condition.field);
+  const expected = condition.value || '';
+
+  if (condition.field === 'hasAttachment') {
+    return actual === String(expected !== 'false');
+  }
+
+  switch (condition.operator) {
+    case 'equals':
+      return actual.trim().toLowerCase() === expected.trim().toLowerCase();
+    case 'regex':
+      // Linear-time RE2 matching, see utils/safeRegex.js
+      return testPattern(expected, actual);
+    case 'contains':
+    default:
+      return actual.toLowerCase().includes(expected.toLowerCase());
+  }
+};
+
+const matchesRule = (mail, rule) => {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) {
+    return false;
+  }
+  return rule.match === 'any'
+    ? conditions.some(condition => matchesCondition(mail, condition))
+    : conditions.every(condition => matchesCondition(mail, condition));
+};
+
+// Returns [{ rule, actions }] for every rule that matches, honouring order
+// and stopProcessing. Does not touch the mail.
+const evaluateRules = (mail, rules) => {
+  const matched = [];
+  for (const rule of rules) {
+    if (!matchesRule(mail, rule)) continue;
+    matched.push({ rule, actions: rule.actions || [] });
+    if (rule.stopProcessing) break;
+  }
+  return matched;
+};
+
+const moveTo = (mail, folder) => {
+  if (folder === 'trash' && mail.folder !== 'trash') {
+    mail.previousFolder = mail.folder;
+  }
+  mail.folder = folder;
+};
+
+const forwardTarget = to => String(to || '').trim().toLowerCase();
+
+// Forward actions may only send to the owner's verified forwarding addresses
+// (the same ones auto-forwarding uses); returns the normalized targets of
+// `addresses` that are verified
+const verifiedForwardTargets = async (ownerId, addresses) => {
+  const emails = [...new Set(addresses.map(forwardTarget))];
+  if (emails.length === 0) return [];
+  const verified = await ForwardingAddress.find({ owner: ownerId, email: { $in: emails }, status: 'verified' })
+    .select('email')
+    .lean();
+  return verified.map(address => address.email);
+};
+
+// Applies actions to a Mail document and saves it. Forwards go out after the
+// save so a provider error doesn't lose the other actions. Like auto-forwarding,
+// they are marked auto-generated and auto-generated mail is never forwarded, so
+// rules on two accounts can't forward a message back and forth.
+const applyActions = async (mail, actions) => {
+  const forwards = [];
+
+  for (const action of actions) {
+    switch (action.type) {
+      case 'move':
+        if (MOVE_FOLDERS.includes(action.folder)) moveTo(mail, action.folder);
+        break;
+      case 'label':
+        if (action.label) mail.labels.addToSet(action.label);
+        break;
+      case 'markRead':
+        mail.isRead = true;
+        break;
+      case 'star':
+        mail.isStarred = true;
+        break;
+      case 'delete':
+        moveTo(mail, 'trash');
+        break;
+      case 'forward':
+        if (action.to && mail.autoSubmitted !== 'auto-generated') forwards.push(action.to);
+        break;
+      default:
+        break;
+    }
+  }
+
+  await mail.save();
+
+  // Re-checked at send time: the address may have been removed since
+  const allowed = await verifiedForwardTargets(mail.owner, forwards);
+  for (const skipped of forwards.filter(to => !allowed.includes(forwardTarget(to)))) {
+    console.warn(`[RULES] Not forwarding mail ${mail._id} to unverified address ${skipped}`);
+  }
+
+  for (const to of allowed) {
+    try {
+      const forward = buildForward(mail);
+      await deliverMail({
+        to,
+        subject: forward.subject,
+        text: forward.body,
+        html: forward.htmlBody || forward.body,
+        userFrom: mail.from,
+        attachments: forward.attachments,
+        headers: automationHeaders('auto-generated'),
+      });
+    } catch (error) {
+      console.error(`[RULES] Failed to forward mail ${mail._id} to ${to}:`, error.message);
+    }
+  }
+};
+
+const loadRules = (ownerId, ruleIds) => {
+  const query = { owner: ownerId, enabled: true };
+  if (ruleIds) {
+    query._id = { $in: ruleIds };
+  }
+  return Rule.find(query).sort({ order: 1, createdAt: 1 }).lean();
+};
+
+// Runs the owner's enabled rules on a freshly delivered inbox Mail.
+// Never throws: a broken rule must not fail the delivery itself.
+const runRulesOnMail = async (mail) => {
+  try {
+    const rules = await loadRules(mail.owner);
+    if (rules.length === 0) return [];
+
+    const matched = evaluateRules(mail, rules);
+    if (matched.length === 0) return [];
+
+    await applyActions(mail, matched.flatMap(match => match.actions));
+
+    console.log('[RULES] Applied rules to mail', {
+      mailId: mail._id,
+      rules: matched.map(match => match.rule.name),
+    });
+    return matched;
+  } catch (error) {
+    console.error(`[RULES] Failed to run rules on mail ${mail._id}:`, error);
+    return [];
+  }
+};
+
+// Checks each condition of a conditions array (shared with auto-forwarding);
+// returns a list of error messages
+const validateConditions = (conditions) => {
+  const errors = [];
+
+  conditions.forEach((condition, index) => {
+    if (!condition || !Rule.RULE_FIELDS.includes(condition.field)) {
+      errors.push(`conditions[${index}].field must be one of: ${Rule.RULE_FIELDS.join(', ')}`);
+      return;
+    }
+    if (condition.operator !== undefined && !Rule.RULE_OPERATORS.includes(condition.operator)) {
+      errors.push(`conditions[${index}].operator must be one of: ${Rule.RULE_OPERATORS.join(', ')}`);
+    }
+    if (condition.operator === 'regex') {
+      if (String(condition.value || '').length > MAX_PATTERN_LENGTH) {
+        errors.push(`conditions[${index}].value is longer than ${MAX_PATTERN_LENGTH} characters`);
+      } else if (patternError(condition.value)) {
+        errors.push(
+          `conditions[${index}].value is not a valid regular expression (RE2 syntax, no backreferences or lookarounds): ${patternError(condition.value)}`
+        );
+      }
+    }
+  });
+
+  return errors;
+};
+
+// Checks a rule payload from the API; returns a list of error messages
+const validateRule = (rule, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || rule.name !== undefined) {
+    if (!rule.name || !String(rule.name).trim()) errors.push('name is required');
+  }
+
+  if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+    errors.push('match must be "all" or "any"');
+  }
+
+  if (!partial || rule.conditions !== undefined) {
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      errors.push('conditions must be a non-empty array');
+    } else {
+      errors.push(...validateConditions(rule.conditions));
+    }
+  }
+
+  if (!partial || rule.actions !== undefined) {
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push('actions must be a non-empty array');
+    } else {
+      rule.actions.forEach((action, index) => {
+        if (!Rule.RULE_ACTIONS.includes(action.type)) {
+          errors.push(`actions[${index}].type must be one of: ${Rule.RULE_ACTIONS.join(', ')}`);
+        }
+        if (action.type === 'move' && !MOVE_FOLDERS.includes(action.folder)) {
+          errors.push(`actions[${index}].folder must be one of: ${MOVE_FOLDERS.join(', ')}`);
+        }
+        if (action.type === 'label' && !action.label) {
+          errors.push(`actions[${index}].label is required`);
+        }
+        if (action.type === 'forward' && !isValidEmail(action.to)) {
+          errors.push(`actions[${index}].to must be a valid email address`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  matchesRule,
+  evaluateRules,
+  applyActions,
+  loadRules,
+  runRulesOnMail,
+  validateRule,
+  validateConditions,
+  verifiedForwardTargets,
+};
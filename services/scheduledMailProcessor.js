@@ -0,0 +1,474 @@
+// Durable scheduled send queue. Due mail is claimed one document at a time
+// with an atomic findOneAndUpdate that takes a time-limited lease, so several
+// API instances can run the processor without sending the same mail twice.
+// Undo-send mail waiting in the outbox is delivered the same way.
+// Failed sends are retried with exponential backoff until SCHEDULER_MAX_ATTEMPTS,
+// after which the mail is left in the terminal "failed" state with its last error.
+// Recurring series produce a sent copy per run and move on to the next occurrence
+// (a run that exhausts its attempts is skipped rather than ending the series).
+// Env vars:
+// - SCHEDULER_INTERVAL_MS  (poll interval, defaults to 60000)
+// - SCHEDULER_LEASE_MS     (how long a claim is held, defaults to 5 minutes)
+// - SCHEDULER_MAX_ATTEMPTS (defaults to 5)
+// - SCHEDULER_BATCH_SIZE   (max mail per tick, defaults to 50)
+
+const crypto = require('crypto');
+const os = require('os');
+const Mail = require('../models/Mail');
+const Identity = require('../models/Identity');
+const { deliverMail, generateMessageId } = require('../config/mailer');
+const { deliverToLocalInboxes } = require('./localDelivery');
+const { filterSuppressedRecipients, suppressionWarning } = require('./suppressionList');
+const { harvestRecipients } = require('./contactHarvester');
+const { expandGroupReferences } = require('./groupExpansion');
+const { senderOptions, renderContent } = require('./identities');
+const { nextOccurrence } = require('../utils/recurrence');
+const { automationHeaders } = require('../utils/autoSubmitted');
+
+const INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const LEASE_MS = Number(process.env.SCHEDULER_LEASE_MS) || 5 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.SCHEDULER_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = Number(process.env.SCHEDULER_BATCH_SIZE) || 50;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Identifies this process as the lease holder
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// 1m, 2m, 4m, ... capped at an hour
+const backoffDelay = (attempts) =>
+  Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+
+// Atomically claims the next due mail, or returns null when nothing is due.
+// Mail whose lease expired (the worker died mid-send) becomes claimable again.
+// `filter` narrows the claim, e.g. to a single mail for send-now.
+const claimNextDueMail = async (now = new Date(), filter = {}) =>
+  Mail.findOneAndUpdate(
+    {
+      ...filter,
+      scheduledAt: { $lte: now },
+      'recurrence.status': { $ne: 'paused' },
+      $and: [
+        // Scheduled mail, or undo-send mail whose window has passed
+        {
+          $or: [
+            { folder: 'scheduled', isScheduled: true },
+            { folder: 'outbox' },
+          ],
+        },
+        {
+          $or: [
+            { 'delivery.status': { $in: [null, 'pending'] } },
+            { 'delivery.status': 'processing', 'delivery.leaseExpiresAt': { $lte: now } },
+          ],
+        },
+        {
+          $or: [
+            { 'delivery.nextAttemptAt': null },
+            { 'delivery.nextAttemptAt': { $lte: now } },
+          ],
+        },
+      ],
+    },
+    {
+      $set: {
+        'delivery.status': 'processing',
+        'delivery.leaseOwner': workerId,
+        'delivery.leaseExpiresAt': new Date(now.getTime() + LEASE_MS),
+        'delivery.lastAttemptAt': now,
+      },
+      $inc: { 'delivery.attempts': 1 },
+    },
+    { new: true, sort: { scheduledAt: 1, _id: 1 } }
+  );
+
+// Updates a mail only while we still hold its lease
+const updateIfLeaseHeld = (mail, update) =>
+  Mail.findOneAndUpdate(
+    { _id: mail._id, 'delivery.leaseOwner': workerId },
+    update,
+    { new: true }
+  );
+
+const RESET_DELIVERY = {
+  'delivery.status': 'pending',
+  'delivery.attempts': 0,
+  'delivery.nextAttemptAt': null,
+  'delivery.leaseOwner': null,
+  'delivery.leaseExpiresAt': null,
+};
+
+const isRecurring = (mail) => Boolean(mail.recurrence && mail.recurrence.cron);
+
+// Update that moves a series template to its next run, or ends the series
+const advanceSeriesUpdate = (mail, { sent }) => {
+  const occurrences = (mail.recurrence.occurrences || 0) + (sent ? 1 : 0);
+  const after = new Date(Math.max(Date.now(), mail.scheduledAt.getTime()));
+  const next = nextOccurrence(
+    {
+      cron: mail.recurrence.cron,
+      timezone: mail.recurrence.timezone,
+      endsAt: mail.recurrence.endsAt,
+      maxOccurrences: mail.recurrence.maxOccurrences,
+      occurrences,
+    },
+    after
+  );
+
+  const update = {
+    ...RESET_DELIVERY,
+    'recurrence.occurrences': occurrences,
+    // Each run is a new message
+    messageId: null,
+  };
+  if (sent) {
+    update['recurrence.lastSentAt'] = new Date();
+  }
+
+  if (next) {
+    update.scheduledAt = next;
+  } else {
+    update.isScheduled = false;
+    update['recurrence.status'] = 'ended';
+    update['delivery.status'] = null;
+  }
+
+  return { $set: update };
+};
+
+// All provider ids for a send result, so webhook events for any recipient match
+const providerMessageIds = (result) => [
+  ...new Set([result.messageId, ...result.recipientMessageIds.map((recipient) => recipient.messageId)]),
+];
+
+// Contact groups and the suppression list can change while mail waits in
+// the queue, so groups are expanded and suppressions checked right before
+// sending. Mail left without a "to" recipient (or naming a deleted group)
+// fails permanently instead of burning retries.
+const resolveRecipients = async (mail) => {
+  const expanded = await expandGroupReferences(mail.owner, mail);
+  if (expanded.error) {
+    const error = new Error(expanded.error);
+    error.permanent = true;
+    throw error;
+  }
+
+  const recipients = await filterSuppressedRecipients(mail.owner, expanded);
+
+  if (recipients.to.length === 0) {
+    const error = new Error(
+      recipients.suppressed.length > 0
+        ? `No deliverable recipients. ${suppressionWarning(recipients.suppressed)}`
+        : 'No deliverable recipients'
+    );
+    error.permanent = true;
+    throw error;
+  }
+  if (recipients.suppressed.length > 0) {
+    console.warn(`[SCHEDULER] Mail ${mail._id}: ${suppressionWarning(recipients.suppressed)}`);
+  }
+
+  return { ...recipients, groups: expanded.groups };
+};
+
+// The sent record keeps the addresses that were actually sent to, the groups
+// they came from and which suppressed ones were dropped
+const recipientFields = (recipients) => ({
+  to: recipients.to,
+  cc: recipients.cc,
+  bcc: recipients.bcc,
+  ...(recipients.groups.length > 0 ? { recipientGroups: recipients.groups } : {}),
+  ...(recipients.suppressed.length > 0 ? { 'delivery.suppressedRecipients': recipients.suppressed } : {}),
+});
+
+// Renders the mail as it goes out with its identity's current signature and
+// From / Reply-To. A deleted identity just means a plain send.
+const renderForSend = async (mail) => {
+  const identity = mail.identity
+    ? await Identity.findOne({ _id: mail.identity, owner: mail.owner }).lean()
+    : null;
+  return { content: renderContent(mail, identity), sender: senderOptions(identity, mail.from) };
+};
+
+// Address book upkeep must never turn a delivered mail into a failed one.
+// Auto-replies and bulk mail don't count as writing to someone.
+const harvestAfterSend = async (mail, recipients) => {
+  if (mail.autoSubmitted) return;
+  await harvestRecipients(mail.owner, recipients).catch((error) => {
+    console.error(`[SCHEDULER] Contact harvesting failed for mail ${mail._id}:`, error.message);
+  });
+};
+
+// A run of a recurring series: the template stays scheduled and a separate
+// sent copy records this occurrence
+const sendRecurringRun = async (mail) => {
+  const messageId = generateMessageId();
+  const recipients = await resolveRecipients(mail);
+  const { content, sender } = await renderForSend(mail);
+
+  const result = await deliverMail({
+    to: recipients.to,
+    cc: recipients.cc,
+    bcc: recipients.bcc,
+    subject: mail.subject,
+    text: content.body,
+    html: content.htmlBody || content.body,
+    ...sender,
+    attachments: mail.attachments || [],
+    messageId,
+  });
+
+  const advanced = await updateIfLeaseHeld(mail, advanceSeriesUpdate(mail, { sent: true }));
+  if (!advanced) {
+    console.warn(`[SCHEDULER] Lost lease on recurring mail ${mail._id} after sending`);
+    return;
+  }
+
+  // The run is recorded as sent at this point: a failure below must not put
+  // the occurrence back in the queue and send it again
+  try {
+    const sentCopy = await Mail.create({
+      owner: mail.owner,
+      from: mail.from,
+      identity: mail.identity,
+      to: recipients.to,
+      cc: recipients.cc,
+      bcc: recipients.bcc,
+      ...(recipients.groups.length > 0 ? { recipientGroups: recipients.groups } : {}),
+      subject: mail.subject,
+      body: content.body,
+      htmlBody: content.htmlBody,
+      attachments: mail.attachments || [],
+      messageId,
+      threadId: crypto.randomUUID(),
+      recurrenceSeries: mail._id,
+      isRead: true,
+      folder: 'sent',
+      delivery: {
+        status: 'sent',
+        attempts: mail.delivery.attempts,
+        lastAttemptAt: mail.delivery.lastAttemptAt,
+        provider: result.provider,
+        providerMessageId: result.messageId,
+        providerMessageIds: providerMessageIds(result),
+        ...(recipients.suppressed.length > 0 ? { suppressedRecipients: recipients.suppressed } : {}),
+        queuedAt: mail.scheduledAt,
+        sentAt: new Date(),
+      },
+    });
+
+    await harvestAfterSend(mail, recipients);
+    await deliverToLocalInboxes(sentCopy);
+  } catch (error) {
+    console.error(`[SCHEDULER] Post-send work failed for recurring mail ${mail._id}:`, error.message);
+  }
+};
+
+const sendClaimedMail = async (mail) => {
+  if (isRecurring(mail)) {
+    return sendRecurringRun(mail);
+  }
+
+  // Mail scheduled before threading existed has no ids yet
+  const messageId = mail.messageId || generateMessageId();
+  const threadId = mail.threadId || crypto.randomUUID();
+  const recipients = await resolveRecipients(mail);
+  const { content, sender } = await renderForSend(mail);
+
+  const result = await deliverMail({
+    to: recipients.to,
+    cc: recipients.cc,
+    bcc: recipients.bcc,
+    subject: mail.subject,
+    text: content.body,
+    html: content.htmlBody || content.body,
+    ...sender,
+    attachments: mail.attachments || [],
+    messageId,
+    inReplyTo: mail.inReplyTo,
+    references: mail.references,
+    headers: automationHeaders(mail.autoSubmitted),
+  });
+
+  // Update mail status to sent; the sent copy shows what recipients got
+  const sentMail = await updateIfLeaseHeld(mail, {
+    $set: {
+      folder: 'sent',
+      body: content.body,
+      htmlBody: content.htmlBody,
+      isScheduled: false,
+      scheduledAt: null,
+      messageId,
+      threadId,
+      ...recipientFields(recipients),
+      'delivery.status': 'sent',
+      'delivery.provider': result.provider,
+      'delivery.providerMessageId': result.messageId,
+      'delivery.providerMessageIds': providerMessageIds(result),
+      'delivery.sentAt': new Date(),
+      'delivery.lastError': null,
+      'delivery.nextAttemptAt': null,
+      'delivery.leaseOwner': null,
+      'delivery.leaseExpiresAt': null,
+    },
+  });
+
+  if (!sentMail) {
+    // Another worker took over after our lease expired; it owns the fan-out
+    console.warn(`[SCHEDULER] Lost lease on mail ${mail._id} after sending`);
+    return;
+  }
+
+  // Already marked sent: a failure below is logged, never retried
+  try {
+    await harvestAfterSend(mail, recipients);
+
+    // Create inbox entries for local recipients
+    await deliverToLocalInboxes(sentMail);
+  } catch (error) {
+    console.error(`[SCHEDULER] Post-send work failed for mail ${mail._id}:`, error.message);
+  }
+};
+
+const recordFailure = async (mail, error) => {
+  const attempts = mail.delivery.attempts;
+  const exhausted = attempts >= MAX_ATTEMPTS || Boolean(error.permanent);
+
+  if (exhausted && isRecurring(mail)) {
+    // Skip this run but keep the series going
+    const update = advanceSeriesUpdate(mail, { sent: false });
+    update.$set['delivery.lastError'] = error.message;
+    update.$set['delivery.failedAt'] = new Date();
+    await updateIfLeaseHeld(mail, update);
+    return true;
+  }
+
+  await updateIfLeaseHeld(mail, {
+    $set: exhausted
+      ? {
+          // Parked in the failed folder until the user retries it
+          folder: 'failed',
+          isScheduled: false,
+          'delivery.status': 'failed',
+          'delivery.lastError': error.message,
+          'delivery.failedAt': new Date(),
+          'delivery.nextAttemptAt': null,
+          'delivery.leaseOwner': null,
+          'delivery.leaseExpiresAt': null,
+        }
+      : {
+          'delivery.status': 'pending',
+          'delivery.lastError': error.message,
+          'delivery.nextAttemptAt': new Date(Date.now() + backoffDelay(attempts)),
+          'delivery.leaseOwner': null,
+          'delivery.leaseExpiresAt': null,
+        },
+  });
+
+  return exhausted;
+};
+
+// Sends a claimed mail and records the outcome in `results`
+const processClaimedMail = async (mail, results) => {
+  try {
+    await sendClaimedMail(mail);
+    results.processed++;
+    return { sent: true };
+  } catch (error) {
+    const exhausted = await recordFailure(mail, error);
+    if (exhausted) {
+      results.failed++;
+    } else {
+      results.retried++;
+    }
+    results.errors.push({
+      mailId: mail._id,
+      attempts: mail.delivery.attempts,
+      error: error.message,
+    });
+    console.error(
+      `[SCHEDULER] Failed to send scheduled email ${mail._id} (attempt ${mail.delivery.attempts}/${MAX_ATTEMPTS}):`,
+      error.message
+    );
+    return { sent: false, exhausted, error: error.message };
+  }
+};
+
+const emptyResults = () => ({
+  processed: 0,
+  retried: 0,
+  failed: 0,
+  errors: [],
+});
+
+// Processes up to `limit` due mail. Returns counters for logging / the cron endpoint.
+const processDueMail = async ({ limit = BATCH_SIZE } = {}) => {
+  const results = emptyResults();
+
+  for (let i = 0; i < limit; i++) {
+    const mail = await claimNextDueMail();
+    if (!mail) break;
+    await processClaimedMail(mail, results);
+  }
+
+  return results;
+};
+
+// Claims and sends one specific due mail right away. Returns null when it
+// is not claimable (e.g. another worker already picked it up).
+const processMailNow = async (mailId) => {
+  const mail = await claimNextDueMail(new Date(), { _id: mailId });
+  if (!mail) return null;
+  return processClaimedMail(mail, emptyResults());
+};
+
+// Sends outbox mail as soon as its undo window closes instead of waiting for
+// the next tick. The durable queue still picks it up if this process dies.
+const scheduleOutboxDispatch = (mailId, dueAt) => {
+  const delay = Math.max(new Date(dueAt).getTime() - Date.now(), 0) + 250;
+  const handle = setTimeout(() => {
+    processMailNow(mailId).catch((error) => {
+      console.error(`[SCHEDULER] Outbox dispatch failed for mail ${mailId}:`, error);
+    });
+  }, delay);
+  handle.unref();
+};
+
+let timer = null;
+let running = false;
+
+// Ticks never overlap within one process; across processes the lease does the work
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const results = await processDueMail();
+    if (results.processed > 0 || results.retried > 0 || results.failed > 0) {
+      console.log('[SCHEDULER] Scheduled emails processed:', results);
+    }
+  } catch (error) {
+    console.error('[SCHEDULER] Error processing scheduled emails:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduledMailProcessor = () => {
+  if (timer) return timer;
+
+  // Kick once on startup so demos don't wait for the first tick
+  tick();
+  timer = setInterval(tick, INTERVAL_MS);
+
+  console.log(`[SCHEDULER] Scheduled email processor started as ${workerId} (runs every ${INTERVAL_MS / 1000}s)`);
+  return timer;
+};
+
+module.exports = {
+  processDueMail,
+  processMailNow,
+  scheduleOutboxDispatch,
+  claimNextDueMail,
+  startScheduledMailProcessor,
+  MAX_ATTEMPTS,
+};
@@ -0,0 +1,156 @@
+// Sessions, short-lived access tokens and rotating refresh tokens.
+// - The access token is a JWT carrying the user and session id; authMiddleware
+//   rejects it once the session is revoked, so logout takes effect at once.
+// - The refresh token is "<sessionId>.<secret>". Each refresh replaces the
+//   secret; presenting an older one means the token was copied, so the whole
+//   session is revoked (reuse detection) and both holders have to log in again.
+// Env vars:
+// - ACCESS_TOKEN_TTL        (jsonwebtoken duration, defaults to "15m")
+// - REFRESH_TOKEN_TTL_DAYS  (defaults to 30; a session ends this long after
+//                            its last refresh)
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// lastUsedAt is refreshed at most this often by authenticated requests
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// "Chrome on Windows", "Safari on iOS", ... good enough to recognise a device
+const describeDevice = (userAgent = '') => {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\/|Opera/.test(userAgent) && 'Opera') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    (/curl\//.test(userAgent) && 'curl') ||
+    (/PostmanRuntime/.test(userAgent) && 'Postman') ||
+    null;
+  const os =
+    (/iPhone|iPad|iPod/.test(userAgent) && 'iOS') ||
+    (/Android/.test(userAgent) && 'Android') ||
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Mac OS X|Macintosh/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const tokenPair = (session, secret) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Starts a session for a successful login / registration
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const userAgent = String(req.get('user-agent') || '').slice(0, 500);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry(),
+  });
+  return tokenPair(session, secret);
+};
+
+const refreshError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Swaps a refresh token for a new token pair. Throws a 401 error for
+// unknown, expired, revoked or reused tokens.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw refreshError('Invalid refresh token');
+  }
+
+  const nextSecret = newSecret();
+  const now = new Date();
+  // Compare-and-swap on the current hash so two refreshes can't both win
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: now,
+        ip: req.ip || '',
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    return tokenPair(session, nextSecret);
+  }
+
+  // A live session with a different current token: this one was already used
+  const reused = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+  );
+  if (reused) {
+    console.warn('[AUTH] Refresh token reuse detected; session revoked', {
+      sessionId,
+      user: reused.user,
+      ip: req.ip,
+    });
+    throw refreshError('Refresh token was already used; please log in again');
+  }
+  throw refreshError('Session expired; please log in again');
+};
+
+// Returns the active session an access token belongs to, or null
+const findActiveSession = async (userId, sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const now = new Date();
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  })
+    .select('lastUsedAt')
+    .lean();
+
+  if (session && now - session.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    // Bookkeeping only; never delays or fails the request
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } }).catch((error) => {
+      console.error('[AUTH] Failed to update session lastUsedAt:', error.message);
+    });
+  }
+  return session;
+};
+
+// Revokes sessions matching `filter` (always scoped to one user by callers)
+const revokeSessions = (filter, reason) =>
+  Session.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSessions,
+  describeDevice,
+};
@@ -0,0 +1,100 @@
+// Suppression list checks shared by the send paths (sendMail and the send
+// queue) and automatic entries from provider bounce / complaint events.
+
+const Suppression = require('../models/Suppression');
+const { toAddresses } = require('../utils/addressParser');
+
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+// Removes suppressed addresses (global or the owner's own) from to/cc/bcc.
+// Returns the remaining { name, email } arrays plus what was removed and why.
+const filterSuppressedRecipients = async (ownerId, recipients) => {
+  const entries = {};
+  for (const field of RECIPIENT_FIELDS) {
+    entries[field] = toAddresses(recipients[field]);
+  }
+
+  const emails = [...new Set(RECIPIENT_FIELDS.flatMap((field) => entries[field].map((address) => address.email)))];
+  const matches = emails.length > 0
+    ? await Suppression.find({
+      email: { $in: emails },
+      $or: [{ owner: null }, { owner: ownerId }],
+    })
+      .select('owner email reason')
+      .lean()
+    : [];
+
+  const suppressedBy = new Map(matches.map((match) => [match.email, match]));
+  const result = { suppressed: [] };
+
+  for (const field of RECIPIENT_FIELDS) {
+    const kept = [];
+    for (const address of entries[field]) {
+      const match = suppressedBy.get(address.email);
+      if (match) {
+        result.suppressed.push({
+          email: match.email,
+          field,
+          reason: match.reason,
+          scope: match.owner ? 'user' : 'global',
+        });
+      } else {
+        kept.push(address);
+      }
+    }
+    result[field] = kept;
+  }
+
+  return result;
+};
+
+const suppressionWarning = (suppressed) =>
+  `Skipped ${suppressed.length} suppressed recipient${suppressed.length === 1 ? '' : 's'}: ` +
+  suppressed.map((entry) => `${entry.email} (${entry.reason.replace('_', ' ')})`).join(', ');
+
+// Adds an entry unless the address is already suppressed for that scope
+const addSuppression = async ({ owner = null, email, reason, sourceMail = null, note = '', createdBy = null }) =>
+  Suppression.findOneAndUpdate(
+    { owner, email: email.toLowerCase() },
+    { $setOnInsert: { reason, sourceMail, note, createdBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+// Hard bounces mean the mailbox is gone for everybody, so they are global.
+// A spam complaint is about one sender and only blocks that user.
+const suppressFromDeliveryEvents = async (events) => {
+  let added = 0;
+
+  for (const event of events) {
+    if (!event.recipient) continue;
+
+    if (event.type === 'bounced' && event.bounceType === 'hard') {
+      await addSuppression({
+        email: event.recipient,
+        reason: 'hard_bounce',
+        sourceMail: event.mail,
+        note: event.error || '',
+      });
+      added++;
+    } else if (event.type === 'spam') {
+      await addSuppression({
+        owner: event.owner,
+        email: event.recipient,
+        reason: 'spam_complaint',
+        sourceMail: event.mail,
+      });
+      added++;
+    }
+  }
+
+  if (added > 0) {
+    console.log(`[SUPPRESSION] Processed ${added} bounce/complaint event(s)`);
+  }
+};
+
+module.exports = {
+  filterSuppressedRecipients,
+  suppressionWarning,
+  addSuppression,
+  suppressFromDeliveryEvents,
+};
@@ -0,0 +1,126 @@
+// TOTP two-factor authentication (User.twoFactor). Login with 2FA on is two
+// steps: the password check returns a short-lived challenge token, and
+// POST /api/auth/login/2fa trades it plus a code for a real session.
+// Codes are either a 6-digit TOTP or one of the 10 single-use recovery codes.
+// Env vars:
+// - TOTP_ISSUER  (name shown in authenticator apps, defaults to "Modern Mail")
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { verifyTotp, otpauthUri } = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Modern Mail';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+// No 0/O or 1/I so codes survive being read out or written down
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const setupUri = (secret, email) => otpauthUri({ secret, accountName: email, issuer: ISSUER });
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+// Returns the codes to show once and the entries to store
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const chars = [...crypto.randomBytes(10)].map((byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+    codes.push(`${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`);
+  }
+  return {
+    codes,
+    entries: codes.map((code) => ({ hash: hashToken(normalizeRecoveryCode(code)), usedAt: null })),
+  };
+};
+
+const createChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+// Returns the user id of a valid challenge token, or null
+const readChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const recordFailure = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('twoFactor.failedAttempts');
+
+  if (user && user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.failedAttempts': 0,
+          'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MINUTES * 60 * 1000),
+        },
+      }
+    );
+    console.warn('[AUTH] Too many wrong 2FA codes; second step locked', { userId });
+  }
+};
+
+// Checks a TOTP or recovery code for a user with 2FA on. Accepted codes are
+// spent atomically: a TOTP step can't be used twice and a recovery code is
+// marked used. Returns { method } on success or { status, message }.
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('twoFactor.secret twoFactor.enabled twoFactor.lockedUntil');
+  if (!user || !user.twoFactor.enabled) {
+    return { status: 400, message: 'Two-factor authentication is not enabled' };
+  }
+  if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+    return { status: 429, message: 'Too many wrong codes; try again later' };
+  }
+
+  const reset = { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null };
+  const step = verifyTotp(user.twoFactor.secret, code);
+
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { ...reset, 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount > 0) {
+      return { method: 'totp' };
+    }
+  } else {
+    const hash = hashToken(normalizeRecoveryCode(code));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { ...reset, 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log('[AUTH] Recovery code used', { userId: user._id });
+      return { method: 'recovery' };
+    }
+  }
+
+  await recordFailure(user._id);
+  return { status: 401, message: 'Invalid authentication code' };
+};
+
+const remainingRecoveryCodes = (user) =>
+  (user.twoFactor.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+
+module.exports = {
+  CHALLENGE_TTL,
+  setupUri,
+  generateRecoveryCodes,
+  createChallenge,
+  readChallenge,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+};
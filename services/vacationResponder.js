@@ -0,0 +1,104 @@
+// Out-of-office replies. Runs for every message that lands in a local inbox
+// (see localDelivery.processIncomingMail). Replies are queued in the outbox
+// like any other mail and marked "Auto-Submitted: auto-replied".
+// Never answers (RFC 3834):
+// - automated mail: auto-replies, bounces, bulk and mailing-list traffic
+// - mail the user isn't in To/Cc of (Bcc'd or via a list)
+// - the user's own addresses and no-reply style senders
+// - a sender already answered within the last replyIntervalDays
+
+const crypto = require('crypto');
+const Mail = require('../models/Mail');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const VacationReply = require('../models/VacationReply');
+const { generateMessageId } = require('../config/mailer');
+const { toAddresses } = require('../utils/addressParser');
+const { withPrefix } = require('../utils/mailContent');
+const { resolveIdentity, fromAddress, ownAddresses } = require('./identities');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_REPLY_SENDER = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|noreply-[^@]*)@/i;
+
+const isActive = (vacation, now = new Date()) =>
+  Boolean(
+    vacation &&
+      vacation.enabled &&
+      (!vacation.startAt || vacation.startAt <= now) &&
+      (!vacation.endAt || vacation.endAt >= now)
+  );
+
+// Records the reply unless the sender was answered within the interval.
+// Returns false when another reply is still too recent.
+const claimReply = async (ownerId, sender, intervalDays) => {
+  const now = new Date();
+  try {
+    await VacationReply.findOneAndUpdate(
+      { owner: ownerId, sender, repliedAt: { $lte: new Date(now.getTime() - intervalDays * DAY_MS) } },
+      { $set: { repliedAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collided with a recent reply to this sender
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const shouldReply = async (user, inboxMail, sender) => {
+  if (!sender || NO_REPLY_SENDER.test(sender)) return false;
+
+  const own = await ownAddresses(user);
+  if (own.has(sender)) return false;
+
+  const addressed = [...toAddresses(inboxMail.to), ...toAddresses(inboxMail.cc)];
+  if (!addressed.some((address) => own.has(address.email))) return false;
+
+  const { onlyContacts, onlyInternal } = user.vacation;
+  if (onlyInternal && !(await User.exists({ email: sender }))) return false;
+  if (onlyContacts && !(await Contact.exists({ owner: user._id, 'emails.address': sender }))) return false;
+
+  return true;
+};
+
+const sendVacationReply = async (inboxMail) => {
+  if (inboxMail.autoSubmitted) return null;
+
+  const user = await User.findById(inboxMail.owner).select('email vacation');
+  if (!user || !isActive(user.vacation)) return null;
+
+  const [senderAddress] = toAddresses(inboxMail.from);
+  const sender = senderAddress && senderAddress.email;
+  if (!(await shouldReply(user, inboxMail, sender))) return null;
+
+  if (!(await claimReply(user._id, sender, user.vacation.replyIntervalDays || 7))) return null;
+
+  const { identity } = await resolveIdentity(user._id);
+  const reply = await Mail.create({
+    owner: user._id,
+    from: fromAddress(identity, user.email),
+    identity: identity ? identity._id : null,
+    to: [senderAddress],
+    subject: user.vacation.subject || withPrefix('Re', inboxMail.subject),
+    body: user.vacation.body,
+    htmlBody: user.vacation.htmlBody,
+    messageId: generateMessageId(),
+    inReplyTo: inboxMail.messageId || null,
+    references: [...(inboxMail.references || []), inboxMail.messageId].filter(Boolean),
+    threadId: inboxMail.threadId || crypto.randomUUID(),
+    autoSubmitted: 'auto-replied',
+    isRead: true,
+    scheduledAt: new Date(),
+    delivery: { status: 'pending', queuedAt: new Date() },
+    folder: 'outbox',
+  });
+
+  console.log('[VACATION] Auto-reply queued', { user: user.email, to: sender, mailId: reply._id });
+  return reply;
+};
+
+module.exports = {
+  sendVacationReply,
+  isActive,
+};
@@ -0,0 +1,266 @@
+// RFC 5322 address list parsing shared by every place that accepts or
+// renders recipients. Handles display names ("Jane Doe <jane@x.com>"),
+// quoted strings ("Doe, Jane" <jane@x.com>), comments (jane@x.com (Jane)),
+// groups (Team: a@x.com, b@y.com;) and ";" used as a separator. Contact
+// group references ("@team-frontend", see services/groupExpansion.js) are
+// returned separately. Addresses are lowercased like the rest of the app.
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+
+const GROUP_REFERENCE = /^@([a-z0-9][a-z0-9._-]*)$/i;
+const DOT_ATOM = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const QUOTED_LOCAL = /^"(?:[^"\\\r\n]|\\.)*"$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+const DOMAIN_LITERAL = /^\[(?:\d{1,3}\.){3}\d{1,3}\]$/;
+
+// Returns null for a valid address, otherwise why it is invalid
+const emailError = (email) => {
+  if (!email) return 'Email address is empty';
+  if (email.length > MAX_EMAIL_LENGTH) return 'Email address is too long';
+
+  const at = email.lastIndexOf('@');
+  if (at === -1) return 'Email address is missing "@"';
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (!local) return 'Email address is missing the part before "@"';
+  if (local.length > MAX_LOCAL_LENGTH) return 'Part before "@" is too long';
+  if (!DOT_ATOM.test(local) && !QUOTED_LOCAL.test(local)) return 'Part before "@" contains invalid characters';
+  if (!domain) return 'Email address is missing a domain';
+  if (DOMAIN_LITERAL.test(domain)) return null;
+
+  const labels = domain.split('.');
+  if (labels.length < 2) return 'Domain must contain a "."';
+  if (!labels.every((label) => DOMAIN_LABEL.test(label))) return 'Domain is invalid';
+  if (!/^[a-z]{2,}$/i.test(labels[labels.length - 1])) return 'Domain ending is invalid';
+
+  return null;
+};
+
+const isValidEmail = (email) => emailError(String(email || '').trim()) === null;
+
+const collapse = (value) => value.replace(/\s+/g, ' ').trim();
+
+const unquote = (value) => {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return trimmed;
+};
+
+// Splits a header value into top-level entries. Commas and semicolons
+// separate entries unless they are quoted, commented or inside <...>.
+// "Name:" at the top level opens an RFC 5322 group whose display name is
+// dropped; its members become ordinary entries.
+const splitEntries = (text) => {
+  const entries = [];
+  const errors = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+  let comment = 0;
+
+  const flush = () => {
+    if (current.trim()) entries.push(current.trim());
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      current += char;
+      if (char === '\\' && i + 1 < text.length) {
+        current += text[++i];
+      } else if (char === '"') {
+        quoted = false;
+      }
+      continue;
+    }
+    if (comment > 0) {
+      current += char;
+      if (char === '\\' && i + 1 < text.length) current += text[++i];
+      else if (char === '(') comment++;
+      else if (char === ')') comment--;
+      continue;
+    }
+
+    if (char === '"') quoted = true;
+    else if (char === '(') comment++;
+    else if (char === '<') angle = true;
+    else if (char === '>') angle = false;
+    else if (!angle && (char === ',' || char === ';')) {
+      flush();
+      continue;
+    } else if (!angle && char === ':') {
+      // Group display name ("Team:"); the members follow
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (quoted) errors.push({ address: current.trim(), message: 'Unterminated quoted string' });
+  else if (comment > 0) errors.push({ address: current.trim(), message: 'Unterminated comment' });
+  else if (angle) errors.push({ address: current.trim(), message: 'Missing closing ">"' });
+  else flush();
+
+  return { entries, errors };
+};
+
+// Removes (comments) outside quoted strings and returns them separately
+const stripComments = (entry) => {
+  let text = '';
+  let commentText = '';
+  let quoted = false;
+  let depth = 0;
+
+  for (let i = 0; i < entry.length; i++) {
+    const char = entry[i];
+    if (depth > 0) {
+      if (char === '(') depth++;
+      else if (char === ')') depth--;
+      if (depth > 0) commentText += char;
+      continue;
+    }
+    if (char === '"' && entry[i - 1] !== '\\') quoted = !quoted;
+    if (!quoted && char === '(') {
+      depth = 1;
+      continue;
+    }
+    text += char;
+  }
+
+  return { text, comment: collapse(commentText) };
+};
+
+// Parses one entry into { name, email } or { group } or { error }
+const parseEntry = (entry) => {
+  const groupMatch = entry.match(GROUP_REFERENCE);
+  if (groupMatch) {
+    return { group: groupMatch[1].toLowerCase() };
+  }
+
+  const { text, comment } = stripComments(entry);
+  const open = text.lastIndexOf('<');
+  let name = '';
+  let email;
+
+  if (open !== -1) {
+    const close = text.indexOf('>', open);
+    if (close === -1) return { error: 'Missing closing ">"' };
+    if (text.slice(close + 1).trim()) return { error: 'Unexpected text after ">"' };
+    name = collapse(unquote(text.slice(0, open)));
+    email = text.slice(open + 1, close).trim();
+  } else {
+    email = text.trim();
+    name = comment;
+  }
+
+  if (!name && comment) name = comment;
+
+  // Obsolete source routes (<@relay:user@host>) are ignored
+  email = email.replace(/^(@[^:]+:)/, '').toLowerCase();
+
+  const error = emailError(email);
+  return error ? { error } : { name, email };
+};
+
+// Accepts a header-style string, an array of strings, an array of
+// { name, email } / { group } objects, or a mix. Returns
+// { addresses: [{ name, email }], groups: ['team-frontend'], errors: [{ address, message }] }
+// with duplicate addresses and group references removed.
+const parseAddressList = (input) => {
+  const result = { addresses: [], groups: [], errors: [] };
+  const seen = new Set();
+
+  const add = (parsed, raw) => {
+    if (parsed.error) {
+      result.errors.push({ address: raw, message: parsed.error });
+    } else if (parsed.group) {
+      if (!result.groups.includes(parsed.group)) result.groups.push(parsed.group);
+    } else if (!seen.has(parsed.email)) {
+      seen.add(parsed.email);
+      result.addresses.push({ name: parsed.name || '', email: parsed.email });
+    }
+  };
+
+  const parseText = (text) => {
+    const { entries, errors } = splitEntries(String(text));
+    for (const entry of entries) add(parseEntry(entry), entry);
+    result.errors.push(...errors);
+  };
+
+  const items = input === undefined || input === null ? [] : [].concat(input);
+  for (const item of items) {
+    if (!item) continue;
+
+    if (typeof item === 'object') {
+      if (item.group) {
+        add({ group: String(item.group).replace(/^@/, '').toLowerCase() }, `@${item.group}`);
+        continue;
+      }
+      const email = String(item.email || item.address || '').trim().toLowerCase();
+      const error = emailError(email);
+      add(error ? { error } : { name: collapse(String(item.name || '')), email }, email || JSON.stringify(item));
+      continue;
+    }
+
+    parseText(item);
+  }
+
+  return result;
+};
+
+// Lenient variant for data that was already validated (or comes from other
+// servers): invalid entries and group references are dropped
+const toAddresses = (input) => parseAddressList(input).addresses;
+
+// Stored form of a recipient field: addresses plus { group } references
+const toRecipientEntries = (input) => {
+  const { addresses, groups } = parseAddressList(input);
+  return [...addresses, ...groups.map((group) => ({ group }))];
+};
+
+// Parses the to/cc/bcc fields present in a request body. Returns
+// { recipients, errors } where errors carry the field they came from.
+const parseRecipientFields = (source, fields = ['to', 'cc', 'bcc']) => {
+  const recipients = {};
+  const errors = [];
+
+  for (const field of fields) {
+    if (source[field] === undefined) continue;
+    const parsed = parseAddressList(source[field]);
+    recipients[field] = [...parsed.addresses, ...parsed.groups.map((group) => ({ group }))];
+    errors.push(...parsed.errors.map((error) => ({ field, ...error })));
+  }
+
+  return { recipients, errors };
+};
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (address.group) return `@${address.group}`;
+  if (!address.name) return address.email;
+
+  const name = /[()<>[\]:;@\\,."]/.test(address.name)
+    ? `"${address.name.replace(/(["\\])/g, '\\$1')}"`
+    : address.name;
+  return `${name} <${address.email}>`;
+};
+
+const formatAddressList = (addresses) => (addresses || []).map(formatAddress).join(', ');
+
+module.exports = {
+  parseAddressList,
+  toAddresses,
+  toRecipientEntries,
+  parseRecipientFields,
+  formatAddress,
+  formatAddressList,
+  isValidEmail,
+  emailError,
+};
@@ -0,0 +1,51 @@
+// RFC 3834 loop protection. Mail is classified as automated when it is an
+// auto-reply, machine-generated (bounces, notifications) or bulk / mailing
+// list traffic; automatic responders never answer such mail. Outgoing mail
+// the app generates itself carries the matching headers so other systems
+// (and other users of this app) can tell the same.
+
+const AUTO_SUBMITTED_VALUES = ['auto-replied', 'auto-generated', 'bulk'];
+
+// mailparser returns most headers as strings and a few as { value } objects
+const headerText = (headers, name) => {
+  const value = headers.get(name);
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return String(value.value || value.text || JSON.stringify(value));
+  }
+  return String(value);
+};
+
+// Classifies a parsed inbound message (mailparser headers Map and the SMTP
+// envelope sender). Returns one of AUTO_SUBMITTED_VALUES or null.
+const classifyInbound = (headers, envelopeFrom) => {
+  // Bounces and other delivery reports come from the null sender
+  if (!envelopeFrom) return 'auto-generated';
+
+  const autoSubmitted = headerText(headers, 'auto-submitted').trim().toLowerCase();
+  if (autoSubmitted && !autoSubmitted.startsWith('no')) {
+    return autoSubmitted.startsWith('auto-replied') ? 'auto-replied' : 'auto-generated';
+  }
+  if (headers.has('x-autoreply') || headers.has('x-autorespond') || headers.has('x-auto-response-suppress')) {
+    return 'auto-replied';
+  }
+
+  const precedence = headerText(headers, 'precedence').trim().toLowerCase();
+  if (['bulk', 'list', 'junk'].includes(precedence)) return 'bulk';
+  if (headers.has('list-id') || headers.has('list-unsubscribe')) return 'bulk';
+
+  return null;
+};
+
+// Headers for outgoing mail the app generated
+const automationHeaders = (autoSubmitted) => {
+  if (autoSubmitted === 'bulk') return { Precedence: 'bulk' };
+  if (autoSubmitted) return { 'Auto-Submitted': autoSubmitted };
+  return {};
+};
+
+module.exports = {
+  AUTO_SUBMITTED_VALUES,
+  classifyInbound,
+  automationHeaders,
+};
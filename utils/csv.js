@@ -0,0 +1,69 @@
+// RFC 4180 CSV parsing for mail merge uploads: quoted fields may contain
+// commas, newlines and doubled quotes. The first row is the header; each
+// following row becomes an object keyed by it. Returns { rows } or { error }.
+
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: 'Unterminated quoted field' };
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return { records };
+};
+
+const parseCsv = (input) => {
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const { records, error } = parseCsvRecords(String(input || '').replace(/^\uFEFF/, ''));
+  if (error) return { error };
+
+  const nonEmpty = records.filter((record) => record.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) return { error: 'CSV is empty' };
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  if (header.some((name) => !name)) return { error: 'CSV header has an empty column name' };
+
+  const rows = nonEmpty.slice(1).map((record) =>
+    Object.fromEntries(header.map((name, index) => [name, (record[index] || '').trim()]))
+  );
+  return { rows };
+};
+
+module.exports = {
+  parseCsv,
+};
@@ -0,0 +1,95 @@
+// Builders for reply and forward content and signatures, shared by the mail
+// controller and the background services that send mail on a user's behalf.
+
+const { formatAddressList } = require('./addressParser');
+
+const withPrefix = (prefix, subject = '') =>
+  new RegExp(`^${prefix}:`, 'i').test(subject.trim()) ? subject : `${prefix}: ${subject}`;
+
+const textToHtml = (text = '') => text.replace(/\n/g, '<br>');
+
+// Header lines can contain "Name <email>"
+const escapeHtml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const htmlToText = (html = '') =>
+  html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+// Appends an identity's signature below the message (after any quoted
+// text), using the conventional "-- " delimiter. Each signature part falls
+// back to the other when only one was written.
+const appendSignature = ({ body = '', htmlBody = '' }, { signatureText = '', signatureHtml = '' } = {}) => {
+  if (!signatureText.trim() && !signatureHtml.trim()) {
+    return { body, htmlBody };
+  }
+
+  const text = signatureText.trim() ? signatureText : htmlToText(signatureHtml);
+  const html = signatureHtml.trim() ? signatureHtml : textToHtml(escapeHtml(signatureText));
+
+  return {
+    body: `${body}\n\n-- \n${text}`,
+    htmlBody: `${htmlBody || textToHtml(body)}<br><br><div class="signature">-- <br>${html}</div>`,
+  };
+};
+
+const quoteOriginal = (original, { body = '', htmlBody = '' }) => {
+  const date = (original.createdAt || new Date()).toUTCString();
+  const header = `On ${date}, ${original.from} wrote:`;
+  const quotedText = (original.body || '')
+    .split('\n')
+    .map(line => `> ${line}`)
+    .join('\n');
+
+  return {
+    body: `${body}\n\n${header}\n${quotedText}`,
+    htmlBody: htmlBody || original.htmlBody
+      ? `${htmlBody || textToHtml(body)}<br><br><div>${header}</div>` +
+        `<blockquote style="margin: 0 0 0 8px; padding-left: 8px; border-left: 2px solid #cccccc;">` +
+        `${original.htmlBody || textToHtml(original.body)}</blockquote>`
+      : '',
+  };
+};
+
+// Subject, bodies and attachments for forwarding `original`, with an optional
+// note from the user above the forwarded message
+const buildForward = (original, { body = '', htmlBody = '' } = {}) => {
+  const header = [
+    '---------- Forwarded message ---------',
+    `From: ${original.from}`,
+    `Date: ${(original.createdAt || new Date()).toUTCString()}`,
+    `Subject: ${original.subject}`,
+    `To: ${formatAddressList(original.to)}`,
+  ];
+  if (original.cc && original.cc.length > 0) header.push(`Cc: ${formatAddressList(original.cc)}`);
+
+  const forwardedHtml = original.htmlBody || textToHtml(original.body);
+
+  return {
+    subject: withPrefix('Fwd', original.subject),
+    body: `${body}\n\n${header.join('\n')}\n\n${original.body || ''}`,
+    htmlBody: htmlBody || original.htmlBody
+      ? `${htmlBody || textToHtml(body)}<br><br><div>${header.map(escapeHtml).join('<br>')}</div><br>${forwardedHtml}`
+      : '',
+    attachments: (original.attachments || []).map(a => ({
+      url: a.url,
+      fileName: a.fileName,
+      fileSize: a.fileSize,
+      fileType: a.fileType,
+    })),
+  };
+};
+
+module.exports = {
+  withPrefix,
+  quoteOriginal,
+  buildForward,
+  appendSignature,
+};
@@ -0,0 +1,139 @@
+// Gmail-style search query parsing for GET /api/mail/search.
+// Supported operators: from:, to:, cc:, subject:, has:attachment,
+// before:<date>, after:<date>, in:<folder|anywhere>, is:<read|unread|starred|important>.
+// Anything else is free text matched against the Mail text index.
+
+const TOKEN_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const parseDate = (value) => {
+  // Accept 2024/01/31 as well as 2024-01-31
+  const date = new Date(value.replace(/\//g, '-'));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Turns a raw query string into Mongo filters plus the free text terms.
+// Returns { filter, terms, folder, errors }; folder is null without an in: operator.
+const parseSearchQuery = (raw = '') => {
+  const filter = {};
+  const terms = [];
+  const errors = [];
+  let folder = null;
+
+  const and = (condition) => {
+    filter.$and = filter.$and || [];
+    filter.$and.push(condition);
+  };
+
+  for (const match of String(raw).matchAll(TOKEN_PATTERN)) {
+    const operator = (match[1] || match[3] || '').toLowerCase();
+    const value = (match[2] !== undefined ? match[2] : match[4]) || '';
+
+    if (!operator) {
+      const term = match[5] !== undefined ? match[5] : match[6];
+      if (term) terms.push(term);
+      continue;
+    }
+
+    switch (operator) {
+      case 'from':
+      case 'subject':
+        and({ [operator]: { $regex: escapeRegex(value), $options: 'i' } });
+        break;
+      case 'to':
+      case 'cc': {
+        // Recipients are { name, email } lists; match either part
+        const pattern = { $regex: escapeRegex(value), $options: 'i' };
+        and({ $or: [{ [`${operator}.email`]: pattern }, { [`${operator}.name`]: pattern }] });
+        break;
+      }
+      case 'has':
+        if (value.toLowerCase() === 'attachment') {
+          and({ 'attachments.0': { $exists: true } });
+        } else {
+          errors.push(`Unsupported has: value "${value}"`);
+        }
+        break;
+      case 'before':
+      case 'after': {
+        const date = parseDate(value);
+        if (!date) {
+          errors.push(`Invalid date for ${operator}: "${value}"`);
+        } else {
+          and({ createdAt: operator === 'before' ? { $lt: date } : { $gte: date } });
+        }
+        break;
+      }
+      case 'in':
+        folder = value.toLowerCase();
+        break;
+      case 'is':
+        switch (value.toLowerCase()) {
+          case 'unread':
+            and({ isRead: { $ne: true } });
+            break;
+          case 'read':
+            and({ isRead: true });
+            break;
+          case 'starred':
+            and({ isStarred: true });
+            break;
+          case 'important':
+            and({ isImportant: true });
+            break;
+          default:
+            errors.push(`Unsupported is: value "${value}"`);
+        }
+        break;
+      default:
+        // Unknown operator - treat the whole token as free text (e.g. "re:foo")
+        terms.push(match[0].replace(/"/g, ''));
+    }
+  }
+
+  return { filter, terms, folder, errors };
+};
+
+// Builds an HTML-escaped snippet around the first matching term with every
+// term wrapped in <mark>. Falls back to the start of the text.
+const highlight = (text = '', terms = [], length = 160) => {
+  const source = String(text).replace(/\s+/g, ' ').trim();
+  const words = terms.flatMap((term) => term.split(/\s+/)).filter(Boolean);
+
+  let start = 0;
+  if (words.length > 0) {
+    const lower = source.toLowerCase();
+    const positions = words
+      .map((word) => lower.indexOf(word.toLowerCase()))
+      .filter((position) => position >= 0);
+    if (positions.length > 0) {
+      start = Math.max(0, Math.min(...positions) - Math.floor(length / 4));
+    }
+  }
+
+  let snippet = source.slice(start, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + length < source.length ? '…' : '';
+
+  snippet = escapeHtml(snippet);
+  if (words.length > 0) {
+    const pattern = new RegExp(`(${words.map((word) => escapeRegex(escapeHtml(word))).join('|')})`, 'gi');
+    snippet = snippet.replace(pattern, '<mark>$1</mark>');
+  }
+
+  return `${prefix}${snippet}${suffix}`;
+};
+
+module.exports = {
+  parseSearchQuery,
+  highlight,
+  escapeRegex,
+};
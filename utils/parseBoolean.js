@@ -0,0 +1,11 @@
+// Accepts booleans as well as "true"/"false" strings from query params and
+// form bodies; anything else is undefined so callers can reject or ignore it
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+module.exports = {
+  parseBoolean,
+};
@@ -0,0 +1,12 @@
+// Absolute URLs for links in emails the app sends (verification and the
+// like). APP_URL should be set in production, e.g. behind a proxy; otherwise
+// the URL the request came in on is used.
+
+const publicUrl = (req, path) => {
+  const base = (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+module.exports = {
+  publicUrl,
+};
@@ -0,0 +1,183 @@
+// Recurrence rules for scheduled mail. A series is stored as a cron
+// expression plus an IANA timezone; a small RRULE subset is accepted and
+// translated to cron:
+//   FREQ=DAILY|WEEKLY|MONTHLY, BYDAY (weekly), BYMONTHDAY (monthly),
+//   BYHOUR, BYMINUTE, COUNT, UNTIL. INTERVAL other than 1 is not supported.
+// When BYHOUR/BYMINUTE are missing the time of day of `anchor` is used.
+
+const { CronExpressionParser } = require('cron-parser');
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_PREVIEW = 50;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Hour and minute of `date` as seen in `timezone`
+const timeOfDay = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { hour: get('hour'), minute: get('minute') };
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+};
+
+const listOf = (value, pattern) => {
+  const items = value.split(',').map(item => item.trim());
+  return items.every(item => pattern.test(item)) ? items : null;
+};
+
+// Returns { cron, endsAt, maxOccurrences } or { error }
+const rruleToCron = (rrule, anchor, timezone) => {
+  const fields = {};
+  for (const part of String(rrule).replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) fields[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  if (fields.INTERVAL && fields.INTERVAL !== '1') {
+    return { error: 'RRULE INTERVAL other than 1 is not supported' };
+  }
+
+  const anchorTime = timeOfDay(anchor, timezone);
+  const hours = fields.BYHOUR ? listOf(fields.BYHOUR, /^([01]?\d|2[0-3])$/) : [String(anchorTime.hour)];
+  const minutes = fields.BYMINUTE ? listOf(fields.BYMINUTE, /^[0-5]?\d$/) : [String(anchorTime.minute)];
+  if (!hours || !minutes) {
+    return { error: 'RRULE BYHOUR/BYMINUTE values are invalid' };
+  }
+
+  let dayOfMonth = '*';
+  let dayOfWeek = '*';
+
+  switch (fields.FREQ) {
+    case 'DAILY':
+      break;
+    case 'WEEKLY': {
+      const days = (fields.BYDAY || '').split(',').filter(Boolean);
+      if (days.length === 0 || days.some(day => RRULE_DAYS[day] === undefined)) {
+        return { error: 'Weekly RRULE needs BYDAY with values like MO,WE,FR' };
+      }
+      dayOfWeek = days.map(day => RRULE_DAYS[day]).join(',');
+      break;
+    }
+    case 'MONTHLY': {
+      const days = fields.BYMONTHDAY ? listOf(fields.BYMONTHDAY, /^([1-9]|[12]\d|3[01])$/) : null;
+      if (!days) {
+        return { error: 'Monthly RRULE needs BYMONTHDAY with values between 1 and 31' };
+      }
+      dayOfMonth = days.join(',');
+      break;
+    }
+    default:
+      return { error: 'RRULE FREQ must be DAILY, WEEKLY or MONTHLY' };
+  }
+
+  const result = { cron: `${minutes.join(',')} ${hours.join(',')} ${dayOfMonth} * ${dayOfWeek}` };
+
+  if (fields.UNTIL) {
+    result.endsAt = parseUntil(fields.UNTIL);
+    if (!result.endsAt) return { error: 'RRULE UNTIL must look like 20250131T000000Z' };
+  }
+  if (fields.COUNT) {
+    result.maxOccurrences = parseInt(fields.COUNT, 10);
+    if (!(result.maxOccurrences > 0)) return { error: 'RRULE COUNT must be a positive number' };
+  }
+
+  return result;
+};
+
+// Validates API input ({ cron | rrule, timezone, endsAt, maxOccurrences })
+// and returns { recurrence } ready to store, or { error }.
+const normalizeRecurrence = (input, anchor = new Date()) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'recurrence must be an object' };
+  }
+
+  const timezone = input.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+
+  if (!input.cron === !input.rrule) {
+    return { error: 'recurrence needs exactly one of cron or rrule' };
+  }
+
+  const recurrence = {
+    cron: input.cron,
+    rrule: input.rrule || null,
+    timezone,
+    endsAt: input.endsAt ? new Date(input.endsAt) : null,
+    maxOccurrences: input.maxOccurrences ? parseInt(input.maxOccurrences, 10) : null,
+  };
+
+  if (input.rrule) {
+    const converted = rruleToCron(input.rrule, anchor, timezone);
+    if (converted.error) return { error: converted.error };
+    recurrence.cron = converted.cron;
+    recurrence.endsAt = recurrence.endsAt || converted.endsAt || null;
+    recurrence.maxOccurrences = recurrence.maxOccurrences || converted.maxOccurrences || null;
+  }
+
+  if (recurrence.endsAt && Number.isNaN(recurrence.endsAt.getTime())) {
+    return { error: 'recurrence.endsAt is not a valid date' };
+  }
+  if (recurrence.maxOccurrences !== null && !(recurrence.maxOccurrences > 0)) {
+    return { error: 'recurrence.maxOccurrences must be a positive number' };
+  }
+
+  try {
+    CronExpressionParser.parse(recurrence.cron, { tz: timezone });
+  } catch (error) {
+    return { error: `Invalid cron expression: ${error.message}` };
+  }
+
+  return { recurrence };
+};
+
+// Next `count` run times strictly after `after`, honouring endsAt and the
+// remaining occurrences of the series.
+const nextOccurrences = (recurrence, { after = new Date(), count = 1 } = {}) => {
+  const remaining = recurrence.maxOccurrences
+    ? recurrence.maxOccurrences - (recurrence.occurrences || 0)
+    : Infinity;
+  const limit = Math.min(count, remaining, MAX_PREVIEW);
+  if (limit <= 0) return [];
+
+  const expression = CronExpressionParser.parse(recurrence.cron, {
+    tz: recurrence.timezone || 'UTC',
+    currentDate: after,
+  });
+
+  const dates = [];
+  while (dates.length < limit) {
+    const next = expression.next().toDate();
+    if (recurrence.endsAt && next > new Date(recurrence.endsAt)) break;
+    dates.push(next);
+  }
+  return dates;
+};
+
+const nextOccurrence = (recurrence, after) => nextOccurrences(recurrence, { after, count: 1 })[0] || null;
+
+module.exports = {
+  normalizeRecurrence,
+  nextOccurrences,
+  nextOccurrence,
+  MAX_PREVIEW,
+};
@@ -0,0 +1,50 @@
+// User-supplied regular expressions (filter rule and forwarding conditions)
+// run on re2js, a port of RE2: matching takes time linear in the input, so no
+// pattern can stall the event loop the way (a+)+$ or \w*\w*\w*x can with
+// JavaScript's backtracking engine. RE2 syntax has no backreferences or
+// lookarounds; patterns using them are rejected as invalid.
+
+const { RE2JS } = require('re2js');
+
+// Compiled patterns are reused across deliveries and bulk rule runs
+const MAX_CACHED_PATTERNS = 500;
+const cache = new Map();
+
+// Returns the compiled, case-insensitive pattern; throws on invalid syntax
+const compilePattern = (pattern) => {
+  const source = String(pattern || '');
+  let compiled = cache.get(source);
+  if (!compiled) {
+    compiled = RE2JS.compile(source, RE2JS.CASE_INSENSITIVE);
+    if (cache.size >= MAX_CACHED_PATTERNS) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, compiled);
+  }
+  return compiled;
+};
+
+// Returns why a pattern can't be used, or null
+const patternError = (pattern) => {
+  try {
+    compilePattern(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// True when the pattern matches anywhere in `text`; invalid patterns (e.g.
+// saved before patterns were compiled with RE2) never match
+const testPattern = (pattern, text) => {
+  try {
+    return compilePattern(pattern).matcher(String(text)).find();
+  } catch {
+    return false;
+  }
+};
+
+module.exports = {
+  patternError,
+  testPattern,
+};
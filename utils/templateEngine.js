@@ -0,0 +1,145 @@
+// Minimal placeholder language for email templates:
+//   {{firstName}}                 value from the row (names are case-insensitive)
+//   {{firstName | there}}         with a default when the value is missing/empty
+//   {{#if company}}...{{/if}}     kept when the value is set ("false"/"0" count as unset)
+//   {{#unless company}}...{{/unless}}
+//   {{else}}                      inside #if / #unless
+// Template-level defaults fill in missing values before inline defaults.
+// HTML bodies get their values escaped; subjects and text bodies don't.
+
+const TAG = /{{\s*([^{}]*?)\s*}}/g;
+const NAME = /^[A-Za-z_][\w.-]*$/;
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Turns a template string into a tree of text / var / block nodes.
+// Returns { nodes } or { error }.
+const parseTemplate = (source = '') => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().children.push({ type: 'text', text });
+  };
+
+  for (const match of String(source).matchAll(TAG)) {
+    pushText(source.slice(last, match.index));
+    last = match.index + match[0].length;
+    const tag = match[1];
+
+    const open = tag.match(/^#(if|unless)\s+(\S+)$/);
+    if (open) {
+      if (!NAME.test(open[2])) return { error: `Invalid variable name "${open[2]}" in {{${tag}}}` };
+      const block = { type: open[1], name: open[2], children: [], otherwise: null };
+      current().children.push(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = current();
+      if (stack.length === 1 || block.otherwise) return { error: 'Unexpected {{else}}' };
+      block.otherwise = block.children;
+      block.children = [];
+      block.inElse = true;
+      continue;
+    }
+
+    const close = tag.match(/^\/(if|unless)$/);
+    if (close) {
+      const block = current();
+      if (stack.length === 1 || block.type !== close[1]) return { error: `Unexpected {{${tag}}}` };
+      // Children collected after {{else}} belong to the else branch
+      if (block.inElse) {
+        [block.children, block.otherwise] = [block.otherwise, block.children];
+        delete block.inElse;
+      }
+      stack.pop();
+      continue;
+    }
+
+    const [name, ...fallback] = tag.split('|');
+    const variable = name.trim();
+    if (!NAME.test(variable)) return { error: `Invalid placeholder {{${tag}}}` };
+    current().children.push({
+      type: 'var',
+      name: variable,
+      fallback: fallback.length > 0 ? fallback.join('|').trim() : null,
+    });
+  }
+
+  if (stack.length > 1) {
+    return { error: `Missing {{/${current().type}}} for {{#${current().type} ${current().name}}}` };
+  }
+  pushText(source.slice(last));
+  return { nodes: root.children };
+};
+
+// Case-insensitive lookup so CSV headers like "FirstName" match {{firstName}}
+const lookup = (data, name) => {
+  if (Object.prototype.hasOwnProperty.call(data, name)) return data[name];
+  const key = Object.keys(data).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : data[key];
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isTruthy = (value) => !isBlank(value) && !['false', '0'].includes(String(value).trim().toLowerCase());
+
+const renderNodes = (nodes, data, escape) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text') return node.text;
+      if (node.type === 'var') {
+        const value = lookup(data, node.name);
+        const text = isBlank(value) ? node.fallback || '' : String(value);
+        return escape ? escapeHtml(text) : text;
+      }
+      const set = isTruthy(lookup(data, node.name));
+      const branch = (node.type === 'if' ? set : !set) ? node.children : node.otherwise || [];
+      return renderNodes(branch, data, escape);
+    })
+    .join('');
+
+// Renders `source` for one row. Missing values fall back to `defaults`,
+// then to the inline default, then to ''. Returns { text } or { error }.
+const renderTemplate = (source, row = {}, { defaults = {}, html = false } = {}) => {
+  const parsed = parseTemplate(source);
+  if (parsed.error) return { error: parsed.error };
+
+  const data = { ...defaults };
+  for (const [key, value] of Object.entries(row)) {
+    if (!isBlank(value)) data[key] = value;
+  }
+  return { text: renderNodes(parsed.nodes, data, html) };
+};
+
+// Variable names used anywhere in `source`
+const templateVariables = (source) => {
+  const names = new Set();
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      names.add(node.name);
+      if (node.children) walk(node.children);
+      if (node.otherwise) walk(node.otherwise);
+    }
+  };
+  const parsed = parseTemplate(source);
+  if (parsed.nodes) walk(parsed.nodes);
+  return [...names];
+};
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  templateVariables,
+};
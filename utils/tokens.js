@@ -0,0 +1,17 @@
+// Single-use tokens sent by email (verification and reset links). Only the
+// SHA-256 hash is stored, so a leaked database can't be used to redeem them.
+
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returns the raw token for the link and the hash to store
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,118 @@
+// Minimal vCard (RFC 6350 / 2426) reader and writer for contact import and
+// export. Only the properties the Contact model stores are read: FN / N,
+// EMAIL, ORG and NOTE.
+
+const unescapeValue = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+const escapeValue = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([;,])/g, '\\$1');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+};
+
+// Splits "item1.EMAIL;TYPE=work:value" into its property name and value
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [rawName] = line.slice(0, colon).split(';');
+  const name = rawName.replace(/^[^.]+\./, '').toUpperCase();
+  return { name, value: line.slice(colon + 1) };
+};
+
+// Returns [{ name, emails, company, notes }] for every card in the text
+const parseVCards = (text) => {
+  // Unfold continuation lines before splitting into properties
+  const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const property = parseLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = { name: '', structuredName: '', emails: [], company: '', notes: '' };
+    } else if (property.name === 'END' && card) {
+      cards.push({
+        name: card.name || card.structuredName,
+        emails: card.emails,
+        company: card.company,
+        notes: card.notes,
+      });
+      card = null;
+    } else if (card) {
+      switch (property.name) {
+        case 'FN':
+          card.name = unescapeValue(property.value).trim();
+          break;
+        case 'N': {
+          // N is "family;given;additional;prefix;suffix"
+          const [family = '', given = ''] = property.value.split(';').map(unescapeValue);
+          card.structuredName = [given, family].filter(Boolean).join(' ').trim();
+          break;
+        }
+        case 'EMAIL': {
+          const email = unescapeValue(property.value).trim().toLowerCase();
+          if (email) card.emails.push(email);
+          break;
+        }
+        case 'ORG':
+          card.company = unescapeValue(property.value.split(';')[0]).trim();
+          break;
+        case 'NOTE':
+          card.notes = unescapeValue(property.value);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return cards;
+};
+
+const toVCard = (contact) => {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+  const name = contact.name || contact.emails[0].address;
+  const parts = name.split(' ');
+  const family = parts.length > 1 ? parts.pop() : '';
+
+  lines.push(`FN:${escapeValue(name)}`);
+  lines.push(`N:${escapeValue(family)};${escapeValue(parts.join(' '))};;;`);
+  for (const email of contact.emails) {
+    lines.push(`EMAIL;TYPE=INTERNET:${email.address}`);
+  }
+  if (contact.company) {
+    lines.push(`ORG:${escapeValue(contact.company)}`);
+  }
+  if (contact.notes) {
+    lines.push(`NOTE:${escapeValue(contact.notes)}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n');
+};
+
+const toVCards = (contacts) => `${contacts.map(toVCard).join('\r\n')}\r\n`;
+
+module.exports = {
+  parseVCards,
+  toVCard,
+  toVCards,
+};